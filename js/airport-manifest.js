@@ -0,0 +1,88 @@
+/* ====================================
+    Airport Manifest
+    Description: Shared by every page that works per airport. Loads data/airports.json,
+    looks airports up by code and builds the airport switcher, so adding an airport
+    is a data change only. Paths in the manifest are relative to the site root.
+    ==================================== */
+
+/**
+ * Loads the airport manifest.
+ * @param {string} rootPath - Path from the current page to the site root ('..' for pages/, '.' for index.html).
+ * @returns {Promise<Object|null>} { defaultAirport, airports: [] } or null when it cannot be loaded.
+ */
+const loadAirportManifest = async (rootPath = '..') => {
+    try {
+        const response = await fetch(`${rootPath}/data/airports.json`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! Status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error('Error loading the airport manifest:', error);
+        return null;
+    }
+};
+
+/**
+ * Finds an airport by code, ignoring case.
+ * @param {Object} manifest - The loaded manifest.
+ * @param {string} code - The airport code, e.g. 'vghs'.
+ * @returns {Object|null} The airport entry or null for an unknown code.
+ */
+const findAirport = (manifest, code) => {
+    if (!manifest || !code) return null;
+    return manifest.airports.find(airport => airport.code.toLowerCase() === code.toLowerCase()) || null;
+};
+
+/**
+ * Turns a manifest path into one usable from the current page.
+ * @param {string} path - Path relative to the site root.
+ * @param {string} rootPath - Path from the current page to the site root.
+ * @returns {string} The page-relative path.
+ */
+const resolveAirportPath = (path, rootPath = '..') => `${rootPath}/${path}`;
+
+/**
+ * Builds the message shown when a page is opened for a code the manifest does not list.
+ * @param {Object|null} manifest - The loaded manifest, or null if it failed to load.
+ * @param {string} code - The requested code (may be empty).
+ * @returns {string} A plain-text error message.
+ */
+const describeAirportError = (manifest, code) => {
+    if (!manifest) return 'The airport list (data/airports.json) could not be loaded.';
+    const known = manifest.airports.map(airport => airport.code.toUpperCase()).join(', ');
+    if (!code) return `No airport selected. Choose one of: ${known}.`;
+    return `Unknown airport code "${code}". Known airports: ${known}.`;
+};
+
+/**
+ * Fills a <select> with every airport in the manifest and navigates on change.
+ * @param {HTMLSelectElement} select - The switcher element.
+ * @param {Object} manifest - The loaded manifest.
+ * @param {string} activeCode - The code currently shown ('' when none).
+ * @param {function(string): string} buildUrl - Returns the URL to open for a chosen code ('' for all airports).
+ * @param {string} [allLabel] - When given, pages that can show every airport get a first option with this label.
+ */
+const populateAirportSwitcher = (select, manifest, activeCode, buildUrl, allLabel) => {
+    select.innerHTML = '';
+    const active = findAirport(manifest, activeCode);
+
+    if (allLabel || !active) {
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = allLabel || 'Select airport...';
+        select.appendChild(placeholder);
+    }
+
+    (manifest ? manifest.airports : []).forEach(airport => {
+        const option = document.createElement('option');
+        option.value = airport.code;
+        option.textContent = `${airport.code.toUpperCase()} - ${airport.name}`;
+        select.appendChild(option);
+    });
+    select.value = active ? active.code : '';
+
+    select.addEventListener('change', () => {
+        if (select.value || allLabel) window.location.href = buildUrl(select.value);
+    });
+};
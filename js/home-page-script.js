@@ -0,0 +1,48 @@
+/* ====================================
+    Home Page
+    Description: Adds the per-airport cards (2D map and RT call v2) from the airport manifest,
+    around the static RT CALL card, so a new airport shows up without editing this page.
+    ==================================== */
+
+/**
+ * Builds one card link in the same markup as the static cards.
+ * @param {string} href - The page the card opens.
+ * @param {string} iconClass - Font Awesome classes for the icon.
+ * @param {string} title - The card title.
+ * @returns {HTMLAnchorElement} The card link.
+ */
+const createHomeCard = (href, iconClass, title) => {
+    const link = document.createElement('a');
+    link.href = href;
+    link.className = 'card-link';
+    link.innerHTML = `
+            <div class="card">
+                <div class="icon-box"><i class="${iconClass}"></i></div>
+                <div class="title-box"><h3>${title}</h3></div>
+            </div>
+        `;
+    return link;
+};
+
+/**
+ * Inserts the map cards before the RT CALL card and the RT call v2 cards after it.
+ */
+const renderAirportCards = async () => {
+    const manifest = await loadAirportManifest('.');
+    if (!manifest) return;
+
+    const rtCallCard = document.getElementById('rt-call-card');
+    manifest.airports.forEach(airport => {
+        const code = airport.code.toUpperCase();
+        rtCallCard.before(createHomeCard(`pages/map-view.html?airport=${airport.code}`, 'fa-solid fa-map-location-dot', `${code} 2D MAP`));
+    });
+
+    let previous = rtCallCard;
+    manifest.airports.forEach(airport => {
+        const card = createHomeCard(`pages/rt-call-v2.html?icao=${airport.code}`, 'fas fa-headset', `RT CALL V2 (${airport.code.toUpperCase()})`);
+        previous.after(card);
+        previous = card;
+    });
+};
+
+document.addEventListener('DOMContentLoaded', renderAirportCards);
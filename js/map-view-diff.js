@@ -0,0 +1,277 @@
+// Node data version compare for the map view.
+// Loads two node files (or one file against the data on screen), matches nodes
+// by id and lists what was added, removed or moved beyond a threshold, plus
+// changed links and handles. The changes are coloured on the map and can be
+// exported as a CSV review report.
+
+const diffOldFileInput = document.getElementById('diffOldFileInput');
+const diffNewFileInput = document.getElementById('diffNewFileInput');
+const diffThresholdInput = document.getElementById('diffThresholdInput');
+const diffResultBox = document.getElementById('diffResult');
+
+const diffKindColors = {
+    added: '#4cd964',
+    removed: '#ff6b6b',
+    moved: '#ffa500',
+    links: '#00e5ff',
+    handles: '#ffd700'
+};
+// Handle values closer than this are treated as unchanged (float noise in the export).
+const diffHandleTolerance = 0.001;
+
+// { oldNodes, newNodes, oldName, newName, changes } of the last compare, or null.
+let nodeDiff = null;
+let focusedDiffIndex = null;
+
+// Accepts either a full node data file ({ nodes: [] }) or a bare node array.
+function readNodeFile(file) {
+    return file.text().then(text => {
+        const data = JSON.parse(text);
+        const nodes = Array.isArray(data) ? data : data.nodes;
+        if (!Array.isArray(nodes)) throw new Error(`${file.name} has no "nodes" list`);
+        return nodes;
+    });
+}
+
+function getPlanarDistance(a, b) {
+    return Math.hypot(b.position.x - a.position.x, b.position.z - a.position.z);
+}
+
+// Returns a list of { kind, nodeId, node, oldNode, detail, distance } between two node lists.
+function compareNodeVersions(oldNodes, newNodes, moveThreshold) {
+    const changes = [];
+    const oldById = new Map(oldNodes.map(node => [node.id, node]));
+    const newById = new Map(newNodes.map(node => [node.id, node]));
+    const addChange = (kind, oldNode, node, detail, distance = null) => {
+        changes.push({ kind, nodeId: (node || oldNode).id, node, oldNode, detail, distance });
+    };
+
+    newNodes.forEach(node => {
+        if (!oldById.has(node.id)) addChange('added', null, node, nodeTypeNames[node.nodeType] || `type ${node.nodeType}`);
+    });
+    oldNodes.forEach(oldNode => {
+        if (!newById.has(oldNode.id)) addChange('removed', oldNode, null, nodeTypeNames[oldNode.nodeType] || `type ${oldNode.nodeType}`);
+    });
+
+    newNodes.forEach(node => {
+        const oldNode = oldById.get(node.id);
+        if (!oldNode) return;
+
+        if (hasValidPosition(oldNode) && hasValidPosition(node)) {
+            const distance = getPlanarDistance(oldNode, node);
+            if (distance > moveThreshold) addChange('moved', oldNode, node, `moved ${formatDistance(distance)}`, distance);
+        }
+
+        const oldLinks = new Set(oldNode.allNeighbourId || []);
+        const newLinks = new Set(node.allNeighbourId || []);
+        const linked = [...newLinks].filter(id => !oldLinks.has(id));
+        const unlinked = [...oldLinks].filter(id => !newLinks.has(id));
+        if (linked.length > 0 || unlinked.length > 0) {
+            const parts = [];
+            if (linked.length > 0) parts.push(`+${linked.join(', +')}`);
+            if (unlinked.length > 0) parts.push(`-${unlinked.join(', -')}`);
+            addChange('links', oldNode, node, `links ${parts.join(' ')}`);
+        }
+
+        const handleParts = ['fwdAngle', 'inHandleDistance', 'outHandleDistance']
+            .filter(field => Math.abs((node[field] || 0) - (oldNode[field] || 0)) > diffHandleTolerance)
+            .map(field => `${field} ${Number((oldNode[field] || 0).toFixed(2))} → ${Number((node[field] || 0).toFixed(2))}`);
+        if (handleParts.length > 0) addChange('handles', oldNode, node, handleParts.join(', '));
+    });
+
+    return changes;
+}
+
+function getDiffThreshold() {
+    const value = parseFloat(diffThresholdInput.value);
+    return Number.isFinite(value) && value >= 0 ? value : 0;
+}
+
+function renderNodeDiff() {
+    if (!nodeDiff) {
+        diffResultBox.innerHTML = '<p class="map-tool-muted">Choose the old file to compare against.</p>';
+        return;
+    }
+
+    const counts = Object.keys(diffKindColors).map(kind => {
+        const count = nodeDiff.changes.filter(change => change.kind === kind).length;
+        return `<span style="color:${diffKindColors[kind]}">${count} ${kind}</span>`;
+    }).join(', ');
+
+    if (nodeDiff.changes.length === 0) {
+        diffResultBox.innerHTML = `<p>No changes between ${nodeDiff.oldNodes.length} and ${nodeDiff.newNodes.length} nodes (${nodeDiff.newName}).</p>`;
+        return;
+    }
+
+    const rows = nodeDiff.changes.map((change, index) => `
+        <tr class="diff-row${index === focusedDiffIndex ? ' diff-row-focused' : ''}" data-diff-index="${index}">
+            <td style="color:${diffKindColors[change.kind]}">${change.kind}</td>
+            <td>${describeNode(change.node || change.oldNode)}</td>
+            <td>${change.detail}</td>
+        </tr>
+    `).join('');
+
+    diffResultBox.innerHTML = `
+        <p>${counts}</p>
+        <div class="diff-table-wrapper">
+            <table class="diff-table">
+                <thead><tr><th>Change</th><th>Node</th><th>Detail</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+function runNodeDiff() {
+    const oldFile = diffOldFileInput.files[0];
+    if (!oldFile) {
+        nodeDiff = null;
+        renderNodeDiff();
+        return;
+    }
+
+    const newFile = diffNewFileInput.files[0];
+    Promise.all([readNodeFile(oldFile), newFile ? readNodeFile(newFile) : Promise.resolve(nodeData)])
+        .then(([oldNodes, newNodes]) => {
+            nodeDiff = {
+                oldNodes,
+                newNodes,
+                oldName: oldFile.name,
+                newName: newFile ? newFile.name : 'map data',
+                changes: compareNodeVersions(oldNodes, newNodes, getDiffThreshold())
+            };
+            focusedDiffIndex = null;
+            renderNodeDiff();
+            drawScene();
+        })
+        .catch(error => {
+            console.error('Error comparing node data:', error);
+            nodeDiff = null;
+            diffResultBox.innerHTML = `<p class="map-tool-error">Could not compare: ${error.message}</p>`;
+            drawScene();
+        });
+}
+
+function clearNodeDiff() {
+    diffOldFileInput.value = '';
+    diffNewFileInput.value = '';
+    nodeDiff = null;
+    focusedDiffIndex = null;
+    renderNodeDiff();
+    drawScene();
+}
+
+function escapeCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildNodeDiffCsv(diff) {
+    const header = ['change', 'id', 'nodeName', 'hierarchyPath', 'detail', 'oldX', 'oldZ', 'newX', 'newZ', 'distanceUnits'];
+    const lines = diff.changes.map(change => {
+        const node = change.node || change.oldNode;
+        return [
+            change.kind,
+            node.id,
+            node.nodeName || '',
+            node.hierarchyPath || '',
+            change.detail,
+            change.oldNode && change.oldNode.position ? change.oldNode.position.x : '',
+            change.oldNode && change.oldNode.position ? change.oldNode.position.z : '',
+            change.node && change.node.position ? change.node.position.x : '',
+            change.node && change.node.position ? change.node.position.z : '',
+            change.distance === null ? '' : change.distance.toFixed(3)
+        ].map(escapeCsvValue).join(',');
+    });
+    return [
+        `# ${airportCode.toUpperCase()} node diff: ${diff.oldName} -> ${diff.newName}, move threshold ${getDiffThreshold()} units`,
+        header.join(','),
+        ...lines
+    ].join('\n');
+}
+
+function exportNodeDiff() {
+    if (!nodeDiff) return;
+    downloadFile(`${airportCode}_node_diff.csv`, buildNodeDiffCsv(nodeDiff), 'text/csv');
+}
+
+function focusDiffChange(index) {
+    const change = nodeDiff.changes[index];
+    const node = change.node || change.oldNode;
+    if (!hasValidPosition(node)) return;
+
+    focusedDiffIndex = index;
+    renderNodeDiff();
+    centerOnWorldPoint(node.position.x, node.position.z, Math.max(scale, 6));
+    drawScene();
+}
+
+function drawDiffMarker(context, node, color, dashed) {
+    if (!hasValidPosition(node)) return null;
+    const point = worldToScreen(node.position.x, node.position.z);
+    context.beginPath();
+    context.arc(point.x, point.y, 8, 0, 2 * Math.PI);
+    context.setLineDash(dashed ? [3, 3] : []);
+    context.strokeStyle = color;
+    context.lineWidth = 2;
+    context.stroke();
+    return point;
+}
+
+function drawNodeDiffOverlay(context) {
+    if (!nodeDiff) return;
+
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+
+    nodeDiff.changes.forEach((change, index) => {
+        const color = diffKindColors[change.kind];
+        if (change.kind === 'removed') {
+            drawDiffMarker(context, change.oldNode, color, true);
+        } else if (change.kind === 'moved') {
+            // Dashed ghost at the old position, joined to the new one.
+            const from = drawDiffMarker(context, change.oldNode, color, true);
+            const to = drawDiffMarker(context, change.node, color, false);
+            if (from && to) {
+                context.beginPath();
+                context.setLineDash([]);
+                context.moveTo(from.x, from.y);
+                context.lineTo(to.x, to.y);
+                context.stroke();
+            }
+        } else {
+            drawDiffMarker(context, change.node, color, false);
+        }
+
+        if (index === focusedDiffIndex) {
+            const point = drawDiffMarker(context, change.node || change.oldNode, '#ffffff', false);
+            if (point) {
+                context.font = 'bold 12px monospace';
+                context.fillStyle = '#ffffff';
+                context.textAlign = 'left';
+                context.fillText(`${change.kind}: ${change.detail}`, point.x + 12, point.y - 10);
+            }
+        }
+    });
+
+    context.setLineDash([]);
+    context.restore();
+}
+
+diffResultBox.addEventListener('click', (e) => {
+    const row = e.target.closest('[data-diff-index]');
+    if (row) focusDiffChange(Number(row.dataset.diffIndex));
+});
+
+diffOldFileInput.addEventListener('change', runNodeDiff);
+diffNewFileInput.addEventListener('change', runNodeDiff);
+diffThresholdInput.addEventListener('change', runNodeDiff);
+document.getElementById('diffClearBtn').addEventListener('click', clearNodeDiff);
+document.getElementById('diffExportBtn').addEventListener('click', exportNodeDiff);
+
+renderNodeDiff();
+sceneOverlayRenderers.push(drawNodeDiffOverlay);
+// Edits to the map data change the "new" side when no new file was chosen.
+nodeDataListeners.push(() => {
+    if (nodeDiff && !diffNewFileInput.files[0]) runNodeDiff();
+});
@@ -0,0 +1,378 @@
+// Node editor for the map view.
+// Lets us move nodes, turn them, stretch their Bézier handles, relink, retype,
+// add and delete them, then export the same { nodes: [...] } file the Unity
+// importer reads. Nodes are edited in place so untouched fields (hierarchyPath,
+// height, position.y) survive the round trip.
+
+const editModeToggle = document.getElementById('editModeToggle');
+const editorHint = document.getElementById('editorHint');
+const editorNodeForm = document.getElementById('editorNodeForm');
+const editorNodeIdLabel = document.getElementById('editorNodeId');
+const editorNodeNameInput = document.getElementById('editorNodeName');
+const editorNodeTypeSelect = document.getElementById('editorNodeType');
+const editorNewNodeTypeSelect = document.getElementById('editorNewNodeType');
+const editorFwdAngleInput = document.getElementById('editorFwdAngle');
+const editorInHandleInput = document.getElementById('editorInHandle');
+const editorOutHandleInput = document.getElementById('editorOutHandle');
+const editorLinkList = document.getElementById('editorLinkList');
+
+// Distance in pixels of the rotation knob from the node, at right angles to its heading.
+const editorRotateKnobPixels = 40;
+const editorGrabRadius = 7;
+
+let isEditMode = false;
+let selectedEditNodeId = null;
+let editorPendingAction = null; // 'link' | 'place' | null
+let editorDrag = null;          // { kind: 'node' | 'rotate' | 'out' | 'in', node, moved }
+
+function getSelectedEditNode() {
+    return getNodeById(selectedEditNodeId) || null;
+}
+
+// Screen positions of the node centre, both control points and the rotation knob.
+function getEditorHandlePoints(node) {
+    const rad = node.fwdAngle * Math.PI / 180;
+    const dirX = Math.sin(rad);
+    const dirZ = Math.cos(rad);
+    const center = worldToScreen(node.position.x, node.position.z);
+
+    return {
+        center,
+        out: worldToScreen(
+            node.position.x + dirX * (node.outHandleDistance || 0),
+            node.position.z + dirZ * (node.outHandleDistance || 0)),
+        in: worldToScreen(
+            node.position.x - dirX * (node.inHandleDistance || 0),
+            node.position.z - dirZ * (node.inHandleDistance || 0)),
+        rotate: {
+            x: center.x + Math.cos(rad) * editorRotateKnobPixels,
+            y: center.y + Math.sin(rad) * editorRotateKnobPixels
+        }
+    };
+}
+
+function setEditorHint(text) {
+    editorHint.textContent = text;
+}
+
+function selectEditNode(node) {
+    selectedEditNodeId = node ? node.id : null;
+    fillEditorForm();
+    drawScene();
+}
+
+function fillEditorForm() {
+    const node = getSelectedEditNode();
+    editorNodeForm.hidden = !node;
+    if (!node) return;
+
+    editorNodeIdLabel.textContent = node.id;
+    editorNodeNameInput.value = node.nodeName || '';
+    editorNodeTypeSelect.value = String(node.nodeType);
+    editorFwdAngleInput.value = Number(node.fwdAngle).toFixed(1);
+    editorInHandleInput.value = Math.round(node.inHandleDistance || 0);
+    editorOutHandleInput.value = Math.round(node.outHandleDistance || 0);
+
+    editorLinkList.innerHTML = (node.allNeighbourId || []).map(neighId => {
+        const neighbor = getNodeById(neighId);
+        const label = neighbor && neighbor.nodeName ? `${neighbor.nodeName} #${neighId}` : `#${neighId}`;
+        return `
+            <li>
+                <span>${label}</span>
+                <button class="editor-unlink-btn" data-neighbour-id="${neighId}" title="Remove link">&times;</button>
+            </li>
+        `;
+    }).join('') || '<li class="map-tool-muted">None</li>';
+}
+
+function normalizeHeading(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+// Next free id. Unity exports numeric string ids, so keep to that.
+function getNextNodeId() {
+    const maxId = nodeData.reduce((max, node) => {
+        const numericId = Number(node.id);
+        return Number.isFinite(numericId) ? Math.max(max, numericId) : max;
+    }, -1);
+    return String(maxId + 1);
+}
+
+// New nodes go under the same Unity parent as existing nodes of their type.
+function buildHierarchyPath(nodeType, id) {
+    const sibling = nodeData.find(node => node.nodeType === nodeType && node.hierarchyPath);
+    const parentPath = sibling
+        ? sibling.hierarchyPath.substring(0, sibling.hierarchyPath.lastIndexOf('/'))
+        : `++AirportData_${airportCode.toUpperCase()}++`;
+    return `${parentPath}/${id} :New_Node`;
+}
+
+function createEditorNode(worldPoint) {
+    const nodeType = Number(editorNewNodeTypeSelect.value);
+    const id = getNextNodeId();
+    const node = {
+        id,
+        nodeName: "",
+        nodeType,
+        height: 0,
+        hierarchyPath: buildHierarchyPath(nodeType, id),
+        position: { x: worldPoint.x, y: 0.0, z: worldPoint.z },
+        fwdAngle: 0.0,
+        inHandleDistance: 100.0,
+        outHandleDistance: 100.0,
+        allNeighbourId: []
+    };
+
+    nodeData.push(node);
+    notifyNodeDataChanged();
+    selectEditNode(node);
+}
+
+function deleteSelectedEditNode() {
+    const node = getSelectedEditNode();
+    if (!node) return;
+
+    nodeData.splice(nodeData.indexOf(node), 1);
+    nodeData.forEach(other => {
+        if (Array.isArray(other.allNeighbourId)) {
+            other.allNeighbourId = other.allNeighbourId.filter(id => id !== node.id);
+        }
+    });
+
+    selectEditNode(null);
+    notifyNodeDataChanged();
+}
+
+function addEditorLink(fromNode, toNode) {
+    if (!Array.isArray(fromNode.allNeighbourId)) fromNode.allNeighbourId = [];
+    if (fromNode.id === toNode.id || fromNode.allNeighbourId.includes(toNode.id)) return;
+
+    fromNode.allNeighbourId.push(toNode.id);
+    fillEditorForm();
+    notifyNodeDataChanged();
+}
+
+function removeEditorLink(fromNode, neighbourId) {
+    fromNode.allNeighbourId = fromNode.allNeighbourId.filter(id => id !== neighbourId);
+    fillEditorForm();
+    notifyNodeDataChanged();
+}
+
+function setEditorPendingAction(action) {
+    editorPendingAction = action;
+    if (action === 'place') {
+        setEditorHint('Click on the map to place the new node. Esc to cancel.');
+    } else if (action === 'link') {
+        setEditorHint('Click the node to link to. Esc to cancel.');
+    } else {
+        setEditorHint(isEditMode ? 'Drag nodes, handles or the rotation knob. Del removes the selected node.' : '');
+    }
+}
+
+function exportNodeData() {
+    const json = JSON.stringify({ nodes: nodeData }, null, 4);
+    downloadFile(`${airportCode}_node_data.json`, json, 'application/json');
+}
+
+// Applies a mouse drag to the grabbed node or handle.
+function applyEditorDrag(node, kind, worldPoint) {
+    const dx = worldPoint.x - node.position.x;
+    const dz = worldPoint.z - node.position.z;
+    const rad = node.fwdAngle * Math.PI / 180;
+    const along = dx * Math.sin(rad) + dz * Math.cos(rad);
+
+    if (kind === 'node') {
+        node.position.x = worldPoint.x;
+        node.position.z = worldPoint.z;
+    } else if (kind === 'rotate') {
+        // The knob sits 90 degrees clockwise of the heading.
+        const knobHeading = Math.atan2(dx, dz) * 180 / Math.PI;
+        node.fwdAngle = normalizeHeading(knobHeading - 90);
+    } else if (kind === 'out') {
+        node.outHandleDistance = Math.max(0, along);
+    } else if (kind === 'in') {
+        node.inHandleDistance = Math.max(0, -along);
+    }
+}
+
+function drawEditorOverlay(context) {
+    if (!isEditMode) return;
+
+    const node = getSelectedEditNode();
+    if (!node || !hasValidPosition(node)) return;
+
+    const points = getEditorHandlePoints(node);
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+
+    context.strokeStyle = '#ffffff';
+    context.lineWidth = 1;
+    context.setLineDash([4, 4]);
+    context.beginPath();
+    context.moveTo(points.in.x, points.in.y);
+    context.lineTo(points.out.x, points.out.y);
+    context.moveTo(points.center.x, points.center.y);
+    context.lineTo(points.rotate.x, points.rotate.y);
+    context.stroke();
+    context.setLineDash([]);
+
+    context.beginPath();
+    context.arc(points.center.x, points.center.y, 12, 0, 2 * Math.PI);
+    context.lineWidth = 2;
+    context.stroke();
+
+    context.fillStyle = '#66ffee';
+    context.fillRect(points.out.x - 5, points.out.y - 5, 10, 10);
+    context.fillStyle = '#ffcc66';
+    context.fillRect(points.in.x - 5, points.in.y - 5, 10, 10);
+
+    context.beginPath();
+    context.arc(points.rotate.x, points.rotate.y, 6, 0, 2 * Math.PI);
+    context.fillStyle = '#ffffff';
+    context.fill();
+
+    context.restore();
+}
+
+const editorMouseHandler = {
+    down(e) {
+        if (!isEditMode) return false;
+
+        const point = getCanvasPoint(e);
+        const hitNode = getNodeAtScreenPoint(point.x, point.y, 8);
+        const selected = getSelectedEditNode();
+
+        if (editorPendingAction === 'place') {
+            setEditorPendingAction(null);
+            createEditorNode(screenToWorld(point.x, point.y));
+            return true;
+        }
+
+        if (editorPendingAction === 'link') {
+            setEditorPendingAction(null);
+            if (hitNode && selected) addEditorLink(selected, hitNode);
+            return true;
+        }
+
+        if (selected && hasValidPosition(selected)) {
+            const points = getEditorHandlePoints(selected);
+            const isNear = (target) => Math.hypot(point.x - target.x, point.y - target.y) <= editorGrabRadius;
+            // Handles that collapse onto the node would otherwise hide it from the mouse.
+            const isClearOfNode = (target) => Math.hypot(points.center.x - target.x, points.center.y - target.y) > 10;
+
+            const kind = isNear(points.rotate) ? 'rotate'
+                : isClearOfNode(points.out) && isNear(points.out) ? 'out'
+                : isClearOfNode(points.in) && isNear(points.in) ? 'in'
+                : null;
+
+            if (kind) {
+                editorDrag = { kind, node: selected, moved: false };
+                return true;
+            }
+        }
+
+        if (hitNode) {
+            selectEditNode(hitNode);
+            editorDrag = { kind: 'node', node: hitNode, moved: false };
+            return true;
+        }
+
+        return false;
+    },
+
+    move(e) {
+        if (!editorDrag) return;
+        const point = getCanvasPoint(e);
+        applyEditorDrag(editorDrag.node, editorDrag.kind, screenToWorld(point.x, point.y));
+        editorDrag.moved = true;
+        invalidateStaticLayers();
+        fillEditorForm();
+        drawScene();
+    },
+
+    up() {
+        if (editorDrag && editorDrag.moved) notifyNodeDataChanged();
+        editorDrag = null;
+    }
+};
+
+function populateEditorTypeSelects() {
+    [editorNodeTypeSelect, editorNewNodeTypeSelect].forEach(select => {
+        select.innerHTML = nodeTypeNames
+            .map((typeName, index) => `<option value="${index}">${typeName}</option>`)
+            .join('');
+    });
+    editorNewNodeTypeSelect.value = String(nodeTypeNames.indexOf('More_OnGround'));
+}
+
+// Numeric fields update the node live and notify listeners once the edit is committed.
+function bindEditorNumberInput(input, apply) {
+    input.addEventListener('input', () => {
+        const node = getSelectedEditNode();
+        const value = parseFloat(input.value);
+        if (!node || !Number.isFinite(value)) return;
+        apply(node, value);
+        invalidateStaticLayers();
+        drawScene();
+    });
+    input.addEventListener('change', () => notifyNodeDataChanged());
+}
+
+editModeToggle.addEventListener('change', (e) => {
+    isEditMode = e.target.checked;
+    if (!isEditMode) selectEditNode(null);
+    setEditorPendingAction(null);
+    drawScene();
+});
+
+document.getElementById('editorAddNodeBtn').addEventListener('click', () => {
+    if (!isEditMode) {
+        editModeToggle.checked = true;
+        isEditMode = true;
+    }
+    setEditorPendingAction('place');
+});
+
+document.getElementById('editorLinkBtn').addEventListener('click', () => setEditorPendingAction('link'));
+document.getElementById('editorDeleteBtn').addEventListener('click', deleteSelectedEditNode);
+document.getElementById('editorExportBtn').addEventListener('click', exportNodeData);
+
+editorNodeNameInput.addEventListener('input', () => {
+    const node = getSelectedEditNode();
+    if (!node) return;
+    node.nodeName = editorNodeNameInput.value;
+    drawScene();
+});
+editorNodeNameInput.addEventListener('change', () => notifyNodeDataChanged());
+
+editorNodeTypeSelect.addEventListener('change', () => {
+    const node = getSelectedEditNode();
+    if (!node) return;
+    node.nodeType = Number(editorNodeTypeSelect.value);
+    notifyNodeDataChanged();
+});
+
+bindEditorNumberInput(editorFwdAngleInput, (node, value) => { node.fwdAngle = normalizeHeading(value); });
+bindEditorNumberInput(editorInHandleInput, (node, value) => { node.inHandleDistance = Math.max(0, value); });
+bindEditorNumberInput(editorOutHandleInput, (node, value) => { node.outHandleDistance = Math.max(0, value); });
+
+editorLinkList.addEventListener('click', (e) => {
+    const button = e.target.closest('.editor-unlink-btn');
+    const node = getSelectedEditNode();
+    if (button && node) removeEditorLink(node, button.dataset.neighbourId);
+});
+
+window.addEventListener('keydown', (e) => {
+    if (!isEditMode || e.target.matches('input, select, textarea')) return;
+
+    if (e.key === 'Escape') {
+        setEditorPendingAction(null);
+    } else if (e.key === 'Delete') {
+        deleteSelectedEditNode();
+    }
+});
+
+populateEditorTypeSelects();
+
+canvasMouseHandlers.push(editorMouseHandler);
+sceneOverlayRenderers.push(drawEditorOverlay);
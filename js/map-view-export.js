@@ -0,0 +1,221 @@
+// Map export for the map view.
+// Writes the current view, or the full node extent, as SVG, PNG or GeoJSON.
+// Every format honours the node type filters, the same as the live canvas.
+
+const exportAreaSelect = document.getElementById('exportAreaSelect');
+const exportPngScaleSelect = document.getElementById('exportPngScaleSelect');
+
+// Points per curve when a Bézier has to become a polyline (GeoJSON).
+const exportCurveSamples = 24;
+const exportBackgroundColor = '#121212';
+
+// Scale/offset and pixel size of the area being exported.
+function getExportView() {
+    const width = canvas.width;
+    const height = canvas.height;
+    if (exportAreaSelect.value === 'extent') {
+        return { ...getExtentView(nodeData, width, height), width, height };
+    }
+    return { scale, offsetX, offsetY, width, height };
+}
+
+function getExportFileName(extension) {
+    return `${airportCode}_map_${exportAreaSelect.value}.${extension}`;
+}
+
+function escapeSvgText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatSvgNumber(value) {
+    return Number(value.toFixed(2));
+}
+
+function buildMapSvg(view) {
+    const bounds = { left: 0, top: 0, right: view.width, bottom: view.height };
+
+    return withView(view, () => {
+        const parts = [];
+        const arp = getArpLocal();
+        const origin = worldToScreen(arp.x, arp.z);
+
+        parts.push(`<rect width="100%" height="100%" fill="${exportBackgroundColor}"/>`);
+
+        parts.push('<g fill="none" stroke-width="4" stroke-dasharray="8 12">');
+        rangeRings.forEach(range => {
+            const radius = range.radius * meterToPixel * scale;
+            parts.push(`<circle cx="${formatSvgNumber(origin.x)}" cy="${formatSvgNumber(origin.y)}" r="${formatSvgNumber(radius)}" stroke="${range.color}"/>`);
+        });
+        parts.push('</g>');
+
+        parts.push('<g font-family="monospace" font-weight="bold" font-size="18" fill="rgba(0,255,255,0.85)" text-anchor="middle">');
+        rangeRings.forEach(range => {
+            const radius = range.radius * meterToPixel * scale;
+            parts.push(`<text x="${formatSvgNumber(origin.x)}" y="${formatSvgNumber(origin.y - radius - 18)}">${range.nm} NM</text>`);
+        });
+        parts.push('</g>');
+
+        parts.push('<g fill="none" stroke-width="1" stroke-opacity="0.7">');
+        getVisibleConnections(nodeData).forEach(({ node, neighbor }) => {
+            const curve = getConnectionCurve(node, neighbor);
+            if (!isCurveInBounds(curve, bounds)) return;
+
+            const [p0, p1, p2, p3] = [curve.p0, curve.p1, curve.p2, curve.p3].map(p => worldToScreen(p.x, p.z));
+            const d = `M${formatSvgNumber(p0.x)} ${formatSvgNumber(p0.y)} C${formatSvgNumber(p1.x)} ${formatSvgNumber(p1.y)} ${formatSvgNumber(p2.x)} ${formatSvgNumber(p2.y)} ${formatSvgNumber(p3.x)} ${formatSvgNumber(p3.y)}`;
+            const color = nodeTypeColors[nodeTypeNames[node.nodeType]] || '#00ffb3';
+            parts.push(`<path d="${d}" stroke="${color}"/>`);
+        });
+        parts.push('</g>');
+
+        parts.push('<g font-family="monospace" font-size="14">');
+        nodeData.forEach((node, idx) => {
+            if (!hasValidPosition(node)) return;
+            const typeName = nodeTypeNames[node.nodeType];
+            if (!visibleNodeTypes[typeName]) return;
+
+            const point = worldToScreen(node.position.x, node.position.z);
+            if (point.x < bounds.left || point.x > bounds.right || point.y < bounds.top || point.y > bounds.bottom) return;
+
+            const color = nodeTypeColors[typeName] || '#00ffb3';
+            const label = node.nodeName || node.id || `Node ${idx}`;
+            parts.push(`<circle cx="${formatSvgNumber(point.x)}" cy="${formatSvgNumber(point.y)}" r="6" fill="${color}"/>`);
+            parts.push(`<text x="${formatSvgNumber(point.x + 10)}" y="${formatSvgNumber(point.y - 10)}" fill="${color}">${escapeSvgText(label)}</text>`);
+        });
+        parts.push('</g>');
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${view.width}" height="${view.height}" viewBox="0 0 ${view.width} ${view.height}">`,
+            `<title>${escapeSvgText(airportCode.toUpperCase())} node map</title>`,
+            ...parts,
+            '</svg>'
+        ].join('\n');
+    });
+}
+
+// Renders the map into an offscreen canvas at pixelRatio times the view size.
+function renderMapToCanvas(view, pixelRatio) {
+    const exportCanvas = document.createElement('canvas');
+    exportCanvas.width = Math.round(view.width * pixelRatio);
+    exportCanvas.height = Math.round(view.height * pixelRatio);
+
+    const exportCtx = exportCanvas.getContext('2d');
+    exportCtx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    exportCtx.fillStyle = exportBackgroundColor;
+    exportCtx.fillRect(0, 0, view.width, view.height);
+
+    const bounds = { left: 0, top: 0, right: view.width, bottom: view.height };
+    withView(view, () => {
+        if (showBackgroundImage) drawBackgroundImage(exportCtx);
+        drawGrid(exportCtx, bounds);
+        drawRangeCircles(exportCtx, bounds);
+        drawNodeConnections(exportCtx, nodeData, bounds);
+        drawNodes(exportCtx, nodeData, bounds);
+    });
+
+    return exportCanvas;
+}
+
+// Converts a world position to a GeoJSON [lon, lat] pair, or keeps the local
+// x/z when the airport has no geo-reference.
+function toGeoJsonCoordinate(x, z) {
+    const geo = localToGeo(x, z);
+    if (!geo) return [x, z];
+    return [Number(geo.lon.toFixed(7)), Number(geo.lat.toFixed(7))];
+}
+
+function buildMapGeoJson(view) {
+    const bounds = { left: 0, top: 0, right: view.width, bottom: view.height };
+    const features = [];
+
+    withView(view, () => {
+        nodeData.forEach(node => {
+            if (!hasValidPosition(node)) return;
+            const typeName = nodeTypeNames[node.nodeType];
+            if (!visibleNodeTypes[typeName]) return;
+
+            const point = worldToScreen(node.position.x, node.position.z);
+            if (point.x < bounds.left || point.x > bounds.right || point.y < bounds.top || point.y > bounds.bottom) return;
+
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: toGeoJsonCoordinate(node.position.x, node.position.z) },
+                properties: {
+                    id: node.id,
+                    nodeName: node.nodeName,
+                    nodeType: node.nodeType,
+                    nodeTypeName: typeName,
+                    height: node.height,
+                    hierarchyPath: node.hierarchyPath,
+                    fwdAngle: node.fwdAngle,
+                    inHandleDistance: node.inHandleDistance,
+                    outHandleDistance: node.outHandleDistance,
+                    allNeighbourId: node.allNeighbourId,
+                    color: nodeTypeColors[typeName]
+                }
+            });
+        });
+
+        getVisibleConnections(nodeData).forEach(({ node, neighbor }) => {
+            const curve = getConnectionCurve(node, neighbor);
+            if (!isCurveInBounds(curve, bounds)) return;
+
+            const coordinates = [];
+            for (let i = 0; i <= exportCurveSamples; i++) {
+                const point = getCurvePoint(curve, i / exportCurveSamples);
+                coordinates.push(toGeoJsonCoordinate(point.x, point.z));
+            }
+
+            const typeName = nodeTypeNames[node.nodeType];
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates },
+                properties: {
+                    fromId: node.id,
+                    toId: neighbor.id,
+                    fromName: node.nodeName,
+                    toName: neighbor.nodeName,
+                    nodeTypeName: typeName,
+                    lengthMeters: Math.round(getCurveLength(curve) * getMetersPerUnit() * 10) / 10,
+                    color: nodeTypeColors[typeName]
+                }
+            });
+        });
+    });
+
+    return {
+        type: 'FeatureCollection',
+        // WGS84 lon/lat when the airport is geo-referenced, otherwise the
+        // local x/z units from the Unity export.
+        coordinateSystem: mapReference ? 'WGS84' : 'local-units',
+        airport: airportCode.toUpperCase(),
+        features
+    };
+}
+
+document.getElementById('exportSvgBtn').addEventListener('click', () => {
+    downloadFile(getExportFileName('svg'), buildMapSvg(getExportView()), 'image/svg+xml');
+});
+
+document.getElementById('exportPngBtn').addEventListener('click', () => {
+    const exportCanvas = renderMapToCanvas(getExportView(), Number(exportPngScaleSelect.value));
+    const exportStatus = document.getElementById('exportStatus');
+    exportStatus.hidden = true;
+    exportCanvas.toBlob(blob => {
+        // Browsers give up on very large canvases (4x over the full extent) and return null
+        if (!blob) {
+            exportStatus.textContent = 'The PNG is too large to create. Try a lower resolution or the current view.';
+            exportStatus.hidden = false;
+            return;
+        }
+        downloadFile(getExportFileName('png'), blob);
+    });
+});
+
+document.getElementById('exportGeoJsonBtn').addEventListener('click', () => {
+    const geoJson = buildMapGeoJson(getExportView());
+    downloadFile(getExportFileName('geojson'), JSON.stringify(geoJson, null, 2), 'application/geo+json');
+});
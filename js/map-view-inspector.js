@@ -0,0 +1,210 @@
+// Hover and click inspection for the map view.
+// Hovering a node or a curve shows a tooltip, clicking a node pins its details.
+// Hit-testing goes through worldToScreen so it follows zoom and pan.
+
+const mapTooltip = document.getElementById('mapTooltip');
+const nodeDetailPanel = document.getElementById('nodeDetailPanel');
+const nodeDetailContent = document.getElementById('nodeDetailContent');
+
+// How close (pixels) the mouse has to be to a curve to hover it.
+const curveHoverRadius = 5;
+const curveHoverSamples = 16;
+
+// Extra blocks appended to the pinned node details. Each entry receives the
+// node and returns an HTML string (empty for nothing).
+const nodeDetailSections = [];
+
+let hoveredConnection = null; // { node, neighbor, curve, length }
+let pinnedNodeId = null;
+let inspectorPressPoint = null;
+
+function distanceToSegment(px, py, ax, ay, bx, by) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared)) : 0;
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+// Returns the visible connection under a canvas point, or null.
+function getConnectionAtScreenPoint(screenX, screenY) {
+    let closest = null;
+    let closestDistance = curveHoverRadius;
+    const bounds = getViewBounds();
+
+    getVisibleConnections(nodeData).forEach(({ node, neighbor }) => {
+        const curve = getConnectionCurve(node, neighbor);
+        if (!isCurveInBounds(curve, bounds)) return;
+        let prev = worldToScreen(curve.p0.x, curve.p0.z);
+        for (let i = 1; i <= curveHoverSamples; i++) {
+            const world = getCurvePoint(curve, i / curveHoverSamples);
+            const point = worldToScreen(world.x, world.z);
+            const distance = distanceToSegment(screenX, screenY, prev.x, prev.y, point.x, point.y);
+            if (distance <= closestDistance) {
+                closest = { node, neighbor, curve };
+                closestDistance = distance;
+            }
+            prev = point;
+        }
+    });
+
+    if (closest) closest.length = getCurveLength(closest.curve);
+    return closest;
+}
+
+function getNodeLabel(node) {
+    return node.nodeName ? `${node.nodeName} #${node.id}` : `#${node.id}`;
+}
+
+function showMapTooltip(html, screenX, screenY) {
+    mapTooltip.innerHTML = html;
+    mapTooltip.style.left = `${screenX + 14}px`;
+    mapTooltip.style.top = `${screenY + 14}px`;
+    mapTooltip.hidden = false;
+}
+
+function hideMapTooltip() {
+    mapTooltip.hidden = true;
+}
+
+function updateHover(e) {
+    const point = getCanvasPoint(e);
+    const node = getNodeAtScreenPoint(point.x, point.y);
+    const previousConnection = hoveredConnection;
+    hoveredConnection = null;
+
+    if (node) {
+        const typeName = nodeTypeNames[node.nodeType] || `Unknown (${node.nodeType})`;
+        showMapTooltip(`
+            <strong style="color:${nodeTypeColors[typeName] || '#fff'};">${node.nodeName || '(unnamed)'}</strong><br>
+            #${node.id} &middot; ${typeName}
+        `, point.x, point.y);
+    } else {
+        hoveredConnection = getConnectionAtScreenPoint(point.x, point.y);
+        if (hoveredConnection) {
+            showMapTooltip(`
+                ${getNodeLabel(hoveredConnection.node)} &rarr; ${getNodeLabel(hoveredConnection.neighbor)}<br>
+                <strong>${formatDistance(hoveredConnection.length)}</strong>
+            `, point.x, point.y);
+        } else {
+            hideMapTooltip();
+        }
+    }
+
+    canvas.style.cursor = node || hoveredConnection ? 'pointer' : '';
+    if (previousConnection !== hoveredConnection) drawScene();
+}
+
+function renderNodeLinks(ids) {
+    if (ids.length === 0) return '<span class="map-tool-muted">None</span>';
+    return ids.map(id => {
+        const node = getNodeById(id);
+        const label = node ? getNodeLabel(node) : `#${id} (missing)`;
+        return `<a href="#" class="node-detail-link" data-node-id="${id}">${label}</a>`;
+    }).join(', ');
+}
+
+function renderNodeDetails() {
+    const node = getNodeById(pinnedNodeId);
+    nodeDetailPanel.hidden = !node;
+    if (!node) return;
+
+    const typeName = nodeTypeNames[node.nodeType] || `Unknown (${node.nodeType})`;
+    const incoming = nodeData
+        .filter(other => Array.isArray(other.allNeighbourId) && other.allNeighbourId.includes(node.id))
+        .map(other => other.id);
+    const format = (value) => typeof value === 'number' ? value.toFixed(1) : 'n/a';
+
+    nodeDetailContent.innerHTML = `
+        <h3 style="color:${nodeTypeColors[typeName] || '#fff'};">${node.nodeName || '(unnamed)'}</h3>
+        <table class="node-detail-table">
+            <tr><th>Id</th><td>${node.id}</td></tr>
+            <tr><th>Path</th><td class="node-detail-path">${node.hierarchyPath || 'n/a'}</td></tr>
+            <tr><th>Type</th><td>${typeName}</td></tr>
+            <tr><th>Height</th><td>${format(node.height)}</td></tr>
+            <tr><th>Position</th><td>${node.position ? `${format(node.position.x)}, ${format(node.position.z)}` : 'n/a'}</td></tr>
+            <tr><th>Heading</th><td>${format(node.fwdAngle)}&deg;</td></tr>
+            <tr><th>In handle</th><td>${typeof node.inHandleDistance === 'number' ? formatDistance(node.inHandleDistance) : 'n/a'}</td></tr>
+            <tr><th>Out handle</th><td>${typeof node.outHandleDistance === 'number' ? formatDistance(node.outHandleDistance) : 'n/a'}</td></tr>
+            <tr><th>Incoming</th><td>${renderNodeLinks(incoming)}</td></tr>
+            <tr><th>Outgoing</th><td>${renderNodeLinks(node.allNeighbourId || [])}</td></tr>
+        </table>
+        ${nodeDetailSections.map(section => section(node)).join('')}
+    `;
+}
+
+function pinNode(node) {
+    pinnedNodeId = node ? node.id : null;
+    renderNodeDetails();
+    drawScene();
+}
+
+function drawInspectorOverlay(context) {
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+
+    if (hoveredConnection) {
+        context.beginPath();
+        traceCurve(hoveredConnection.curve);
+        context.strokeStyle = '#ffffff';
+        context.lineWidth = 3;
+        context.stroke();
+    }
+
+    const pinned = getNodeById(pinnedNodeId);
+    if (hasValidPosition(pinned)) {
+        const point = worldToScreen(pinned.position.x, pinned.position.z);
+        context.beginPath();
+        context.arc(point.x, point.y, 10, 0, 2 * Math.PI);
+        context.strokeStyle = '#ffffff';
+        context.lineWidth = 2;
+        context.stroke();
+    }
+
+    context.restore();
+}
+
+canvas.addEventListener('mousemove', (e) => {
+    if (isDragging || activeMouseHandler) {
+        hideMapTooltip();
+        return;
+    }
+    updateHover(e);
+});
+
+canvas.addEventListener('mouseleave', () => {
+    hideMapTooltip();
+    if (hoveredConnection) {
+        hoveredConnection = null;
+        drawScene();
+    }
+});
+
+// A click only pins when the mouse did not move, so panning never changes the pin.
+canvas.addEventListener('mousedown', (e) => {
+    inspectorPressPoint = getCanvasPoint(e);
+});
+
+canvas.addEventListener('click', (e) => {
+    const point = getCanvasPoint(e);
+    if (!inspectorPressPoint || Math.hypot(point.x - inspectorPressPoint.x, point.y - inspectorPressPoint.y) > 3) return;
+
+    const node = getNodeAtScreenPoint(point.x, point.y);
+    if (node) pinNode(node);
+});
+
+nodeDetailContent.addEventListener('click', (e) => {
+    const link = e.target.closest('.node-detail-link');
+    if (!link) return;
+    e.preventDefault();
+
+    const node = getNodeById(link.dataset.nodeId);
+    if (!node) return;
+    pinNode(node);
+    if (hasValidPosition(node)) centerOnWorldPoint(node.position.x, node.position.z);
+});
+
+document.getElementById('nodeDetailCloseBtn').addEventListener('click', () => pinNode(null));
+
+sceneOverlayRenderers.push(drawInspectorOverlay);
+nodeDataListeners.push(() => renderNodeDetails());
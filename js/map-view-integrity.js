@@ -0,0 +1,168 @@
+// Node graph integrity checker for the map view.
+// drawNodeConnections quietly skips anything it cannot draw, so a bad Unity
+// export only shows up as a missing line. This pass lists those problems instead.
+
+const integrityResultBox = document.getElementById('integrityResult');
+const integrityBadge = document.getElementById('integrityBadge');
+
+// Node types where a path is allowed to stop.
+const integrityTerminalTypes = ['Gate_Inbound', 'Gate_Outbound', 'PostDeparture'];
+// Node types that paths start from.
+const integritySourceTypes = ['PreArrival', 'Gate_Outbound'];
+
+let integrityIssues = [];
+let focusedIssueNodeId = null;
+
+function describeNode(node) {
+    const name = node.nodeName ? `"${node.nodeName}" ` : '';
+    return `${name}#${node.id}`;
+}
+
+// Returns a list of { severity: 'error' | 'warning', nodeId, message } for the given nodes.
+function checkNodeGraph(nodes) {
+    const issues = [];
+    const addIssue = (severity, node, message) => issues.push({ severity, nodeId: node.id, message });
+
+    const nodesById = new Map();
+    nodes.forEach(node => {
+        if (nodesById.has(node.id)) {
+            addIssue('error', node, `Duplicate id ${node.id} (${node.hierarchyPath || 'no hierarchy path'})`);
+            return;
+        }
+        nodesById.set(node.id, node);
+    });
+
+    const incomingCount = new Map(nodes.map(node => [node.id, 0]));
+
+    nodes.forEach(node => {
+        if (!hasValidPosition(node)) {
+            addIssue('error', node, `${describeNode(node)} has no valid position`);
+        }
+
+        if (!Number.isInteger(node.nodeType) || !nodeTypeNames[node.nodeType]) {
+            addIssue('error', node, `${describeNode(node)} has unknown nodeType ${node.nodeType}`);
+        }
+
+        if (!Array.isArray(node.allNeighbourId)) {
+            addIssue('error', node, `${describeNode(node)} has no allNeighbourId list`);
+            return;
+        }
+
+        node.allNeighbourId.forEach(neighId => {
+            if (!nodesById.has(neighId)) {
+                addIssue('error', node, `${describeNode(node)} links to missing node ${neighId}`);
+                return;
+            }
+            incomingCount.set(neighId, incomingCount.get(neighId) + 1);
+        });
+    });
+
+    nodes.forEach(node => {
+        const typeName = nodeTypeNames[node.nodeType];
+        const outgoing = Array.isArray(node.allNeighbourId) ? node.allNeighbourId.filter(id => nodesById.has(id)) : [];
+
+        if (outgoing.length === 0 && !integrityTerminalTypes.includes(typeName)) {
+            addIssue('warning', node, `${describeNode(node)} is a dead end (${typeName || 'unknown type'})`);
+        }
+
+        if (outgoing.length > 0 && !(node.outHandleDistance > 0)) {
+            addIssue('warning', node, `${describeNode(node)} has a zero-length out handle`);
+        }
+
+        if (incomingCount.get(node.id) > 0 && !(node.inHandleDistance > 0)) {
+            addIssue('warning', node, `${describeNode(node)} has a zero-length in handle`);
+        }
+    });
+
+    // Breadth-first walk from every path source.
+    const reachable = new Set();
+    const queue = nodes
+        .filter(node => integritySourceTypes.includes(nodeTypeNames[node.nodeType]))
+        .map(node => node.id);
+    queue.forEach(id => reachable.add(id));
+
+    while (queue.length > 0) {
+        const node = nodesById.get(queue.shift());
+        (node.allNeighbourId || []).forEach(neighId => {
+            if (nodesById.has(neighId) && !reachable.has(neighId)) {
+                reachable.add(neighId);
+                queue.push(neighId);
+            }
+        });
+    }
+
+    nodes.forEach(node => {
+        if (!reachable.has(node.id)) {
+            addIssue('warning', node, `${describeNode(node)} is unreachable from any ${integritySourceTypes.join(' or ')} node`);
+        }
+    });
+
+    return issues;
+}
+
+function renderIntegrityIssues() {
+    const errorCount = integrityIssues.filter(issue => issue.severity === 'error').length;
+    const warningCount = integrityIssues.length - errorCount;
+
+    integrityBadge.textContent = integrityIssues.length > 0 ? `(${errorCount} / ${warningCount})` : '(ok)';
+    integrityBadge.classList.toggle('map-tool-error', errorCount > 0);
+
+    if (integrityIssues.length === 0) {
+        integrityResultBox.innerHTML = `<p>No issues found in ${nodeData.length} nodes.</p>`;
+        return;
+    }
+
+    const items = integrityIssues.map((issue, index) => `
+        <li class="integrity-issue integrity-${issue.severity}" data-issue-index="${index}">
+            ${issue.message}
+        </li>
+    `).join('');
+
+    integrityResultBox.innerHTML = `
+        <p><span class="map-tool-error">${errorCount} errors</span>, ${warningCount} warnings</p>
+        <ul class="map-tool-list integrity-issue-list">${items}</ul>
+    `;
+}
+
+function runIntegrityCheck() {
+    integrityIssues = checkNodeGraph(nodeData);
+    focusedIssueNodeId = null;
+    renderIntegrityIssues();
+    drawScene();
+}
+
+function focusIntegrityIssue(issue) {
+    const node = getNodeById(issue.nodeId);
+    if (!hasValidPosition(node)) return;
+
+    focusedIssueNodeId = node.id;
+    centerOnWorldPoint(node.position.x, node.position.z, Math.max(scale, 6));
+}
+
+function drawIntegrityOverlay(context) {
+    if (focusedIssueNodeId === null) return;
+
+    const node = getNodeById(focusedIssueNodeId);
+    if (!hasValidPosition(node)) return;
+
+    const point = worldToScreen(node.position.x, node.position.z);
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.beginPath();
+    context.arc(point.x, point.y, 14, 0, 2 * Math.PI);
+    context.strokeStyle = '#ff6b6b';
+    context.lineWidth = 3;
+    context.stroke();
+    context.restore();
+}
+
+integrityResultBox.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-issue-index]');
+    if (!item) return;
+    focusIntegrityIssue(integrityIssues[Number(item.dataset.issueIndex)]);
+});
+
+document.getElementById('integrityRunBtn').addEventListener('click', runIntegrityCheck);
+
+sceneOverlayRenderers.push(drawIntegrityOverlay);
+nodeDataListeners.push(() => runIntegrityCheck());
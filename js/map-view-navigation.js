@@ -0,0 +1,213 @@
+// Touch, keyboard and minimap navigation for the map view.
+// Pinch-zoom and one-finger pan come from touch pointer events (the mouse keeps
+// the drag/wheel handling in map-view-script.js), the keyboard pans and zooms
+// the view, and a corner minimap shows the viewport and recentres on click.
+
+const minimapCanvas = document.getElementById('minimapCanvas');
+const minimapCtx = minimapCanvas.getContext('2d');
+
+const keyboardPanStep = 80;
+const keyboardZoomFactor = 1.25;
+const minimapPadding = 8;
+
+// pointerId -> last canvas point of every finger on the map.
+const touchPointers = new Map();
+
+// Node overview drawn once per node/filter change: { canvas, key, transform }.
+const minimapCache = { canvas: document.createElement('canvas'), key: null, transform: null };
+let isMinimapDragging = false;
+
+function getTouchCenterAndSpread() {
+    const points = [...touchPointers.values()];
+    const center = {
+        x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+        y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+    };
+    const spread = points.length > 1 ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) : 0;
+    return { center, spread };
+}
+
+function zoomToFit() {
+    const nodes = nodeData.filter(node => visibleNodeTypes[nodeTypeNames[node.nodeType]]);
+    const view = getExtentView(nodes.length > 0 ? nodes : nodeData, canvas.width, canvas.height);
+    const center = withView(view, () => screenToWorld(canvas.width / 2, canvas.height / 2));
+    animateToWorldPoint(center.x, center.z, view.scale);
+}
+
+// Back to the view the page opens with: world origin centred at scale 1.
+function resetView() {
+    animateToWorldPoint(0, 0, 1);
+}
+
+function zoomAtCanvasCenter(factor) {
+    zoomAtScreenPoint(canvas.width / 2, canvas.height / 2, factor);
+}
+
+/* ---- Touch ---- */
+
+canvas.addEventListener('pointerdown', (e) => {
+    if (e.pointerType !== 'touch') return;
+    canvas.setPointerCapture(e.pointerId);
+    touchPointers.set(e.pointerId, getCanvasPoint(e));
+});
+
+// Every move compares the finger layout before and after this pointer moved:
+// the centre shift pans, the change in finger spread zooms around the centre.
+canvas.addEventListener('pointermove', (e) => {
+    if (e.pointerType !== 'touch' || !touchPointers.has(e.pointerId)) return;
+
+    const before = getTouchCenterAndSpread();
+    touchPointers.set(e.pointerId, getCanvasPoint(e));
+    const after = getTouchCenterAndSpread();
+
+    offsetX += after.center.x - before.center.x;
+    offsetY += after.center.y - before.center.y;
+
+    if (touchPointers.size > 1 && before.spread > 0) {
+        zoomAtScreenPoint(after.center.x, after.center.y, after.spread / before.spread);
+    } else {
+        drawScene();
+    }
+});
+
+['pointerup', 'pointercancel'].forEach(type => {
+    canvas.addEventListener(type, (e) => {
+        if (e.pointerType === 'touch') touchPointers.delete(e.pointerId);
+    });
+});
+
+/* ---- Mouse and keyboard ---- */
+
+canvas.addEventListener('dblclick', (e) => {
+    const point = getCanvasPoint(e);
+    zoomAtScreenPoint(point.x, point.y, e.shiftKey ? 0.5 : 2);
+});
+
+window.addEventListener('keydown', (e) => {
+    if (e.target.matches('input, select, textarea') || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const step = keyboardPanStep * (e.shiftKey ? 4 : 1);
+    switch (e.key) {
+        case 'ArrowLeft': offsetX += step; break;
+        case 'ArrowRight': offsetX -= step; break;
+        case 'ArrowUp': offsetY += step; break;
+        case 'ArrowDown': offsetY -= step; break;
+        case '+':
+        case '=':
+            zoomAtCanvasCenter(keyboardZoomFactor);
+            break;
+        case '-':
+        case '_':
+            zoomAtCanvasCenter(1 / keyboardZoomFactor);
+            break;
+        case '0':
+            resetView();
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
+    drawScene();
+});
+
+document.getElementById('zoomInBtn').addEventListener('click', () => zoomAtCanvasCenter(keyboardZoomFactor));
+document.getElementById('zoomOutBtn').addEventListener('click', () => zoomAtCanvasCenter(1 / keyboardZoomFactor));
+document.getElementById('zoomFitBtn').addEventListener('click', zoomToFit);
+
+/* ---- Minimap ---- */
+
+// Fits the node extent into the minimap: minimap pixels per world unit plus the world origin offset.
+function getMinimapTransform() {
+    const positioned = nodeData.filter(hasValidPosition);
+    if (positioned.length === 0) return null;
+
+    const xs = positioned.map(node => node.position.x);
+    const zs = positioned.map(node => node.position.z);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const minZ = Math.min(...zs);
+    const maxZ = Math.max(...zs);
+
+    const unitScale = Math.min(
+        (minimapCanvas.width - minimapPadding * 2) / Math.max(maxX - minX, 1),
+        (minimapCanvas.height - minimapPadding * 2) / Math.max(maxZ - minZ, 1)
+    );
+    return {
+        unitScale,
+        originX: minimapCanvas.width / 2 - (minX + maxX) / 2 * unitScale,
+        originY: minimapCanvas.height / 2 + (minZ + maxZ) / 2 * unitScale
+    };
+}
+
+function worldToMinimap(transform, x, z) {
+    return { x: transform.originX + x * transform.unitScale, y: transform.originY - z * transform.unitScale };
+}
+
+function renderMinimapCache() {
+    const cache = minimapCache;
+    cache.canvas.width = minimapCanvas.width;
+    cache.canvas.height = minimapCanvas.height;
+    cache.transform = getMinimapTransform();
+    cache.key = staticLayerVersion;
+
+    const context = cache.canvas.getContext('2d');
+    context.clearRect(0, 0, cache.canvas.width, cache.canvas.height);
+    if (!cache.transform) return;
+
+    // Straight lines are plenty at this size.
+    context.lineWidth = 1;
+    context.globalAlpha = 0.6;
+    getVisibleConnections(nodeData).forEach(({ node, neighbor }) => {
+        const from = worldToMinimap(cache.transform, node.position.x, node.position.z);
+        const to = worldToMinimap(cache.transform, neighbor.position.x, neighbor.position.z);
+        context.beginPath();
+        context.moveTo(from.x, from.y);
+        context.lineTo(to.x, to.y);
+        context.strokeStyle = nodeTypeColors[nodeTypeNames[node.nodeType]] || '#00ffb3';
+        context.stroke();
+    });
+    context.globalAlpha = 1.0;
+}
+
+function drawMinimap() {
+    if (minimapCache.key !== staticLayerVersion) renderMinimapCache();
+
+    minimapCtx.clearRect(0, 0, minimapCanvas.width, minimapCanvas.height);
+    minimapCtx.drawImage(minimapCache.canvas, 0, 0);
+
+    const transform = minimapCache.transform;
+    if (!transform) return;
+
+    const topLeft = screenToWorld(0, 0);
+    const bottomRight = screenToWorld(canvas.width, canvas.height);
+    const a = worldToMinimap(transform, topLeft.x, topLeft.z);
+    const b = worldToMinimap(transform, bottomRight.x, bottomRight.z);
+
+    minimapCtx.strokeStyle = '#ffffff';
+    minimapCtx.lineWidth = 1.5;
+    minimapCtx.strokeRect(a.x, a.y, b.x - a.x, b.y - a.y);
+}
+
+function recenterFromMinimap(e) {
+    const transform = minimapCache.transform;
+    if (!transform) return;
+
+    const rect = minimapCanvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left - transform.originX) / transform.unitScale;
+    const z = -(e.clientY - rect.top - transform.originY) / transform.unitScale;
+    centerOnWorldPoint(x, z);
+}
+
+minimapCanvas.addEventListener('pointerdown', (e) => {
+    isMinimapDragging = true;
+    minimapCanvas.setPointerCapture(e.pointerId);
+    recenterFromMinimap(e);
+});
+minimapCanvas.addEventListener('pointermove', (e) => {
+    if (isMinimapDragging) recenterFromMinimap(e);
+});
+['pointerup', 'pointercancel'].forEach(type => {
+    minimapCanvas.addEventListener(type, () => { isMinimapDragging = false; });
+});
+
+sceneRenderListeners.push(drawMinimap);
@@ -0,0 +1,266 @@
+// Vertical profile for the map view.
+// Plots node height against distance flown along the Route Finder's route or
+// an arrival/departure flow, labels the named fixes and flags segments that
+// climb or descend more steeply than the gradient limit.
+
+const profilePanel = document.getElementById('profilePanel');
+const profileCanvas = document.getElementById('profileCanvas');
+const profileGradientInput = document.getElementById('profileGradientInput');
+const profileResultBox = document.getElementById('profileResult');
+const profileSourceSelect = document.getElementById('profileSourceSelect');
+const profileStartSelect = document.getElementById('profileStartSelect');
+const profileEndSelect = document.getElementById('profileEndSelect');
+
+// Node types the airborne part of a flow starts and ends at: the approach down to
+// the runway, and the climb-out. The node data does not link the Departure nodes to
+// the PostDeparture routes, so a climb-out can also start on a PostDeparture node.
+const profileFlowEndpoints = {
+    arrival: { start: ['PreArrival'], end: 'Arrival' },
+    departure: { start: ['Departure', 'PostDeparture'], end: 'PostDeparture' }
+};
+
+const feetPerMeter = 3.28084;
+const profileChartPadding = { left: 44, right: 10, top: 10, bottom: 44 };
+
+// { route, points: [{ node, distance (m), altitude (ft) }], segments: [{ fromId, toId, gradient (%), flagged }] }
+let activeProfile = null;
+
+// Node heights are exported in feet unless the reference config says otherwise.
+function getHeightFeetPerUnit() {
+    return mapReference && mapReference.heightFeetPerUnit > 0 ? mapReference.heightFeetPerUnit : 1;
+}
+
+function buildVerticalProfile(route, gradientLimit) {
+    const points = [];
+    let distance = 0;
+
+    route.nodeIds.forEach((id, index) => {
+        if (index > 0) distance += route.segments[index - 1].length * getMetersPerUnit();
+        const node = getNodeById(id);
+        points.push({ node, distance, altitude: (node.height || 0) * getHeightFeetPerUnit() });
+    });
+
+    const segments = route.segments.map((segment, index) => {
+        const run = points[index + 1].distance - points[index].distance;
+        const rise = (points[index + 1].altitude - points[index].altitude) / feetPerMeter;
+        const gradient = run > 0 ? rise / run * 100 : 0;
+        return { fromId: segment.fromId, toId: segment.toId, curve: segment.curve, gradient, flagged: Math.abs(gradient) > gradientLimit };
+    });
+
+    return { route, points, segments };
+}
+
+// Descent/climb gradient in percent and feet per nautical mile.
+function formatGradient(gradient) {
+    const feetPerNm = gradient / 100 * metersPerNauticalMile * feetPerMeter;
+    return `${gradient > 0 ? '+' : ''}${gradient.toFixed(1)}% (${Math.round(feetPerNm)} ft/NM)`;
+}
+
+function drawProfileChart(profile) {
+    const context = profileCanvas.getContext('2d');
+    const width = profileCanvas.width;
+    const height = profileCanvas.height;
+    const pad = profileChartPadding;
+
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    const maxDistance = Math.max(profile.points[profile.points.length - 1].distance, 1);
+    const altitudes = profile.points.map(point => point.altitude);
+    const minAltitude = Math.min(0, ...altitudes);
+    const maxAltitude = Math.max(...altitudes, minAltitude + 1000);
+
+    const toX = (distance) => pad.left + distance / maxDistance * (width - pad.left - pad.right);
+    const toY = (altitude) => height - pad.bottom - (altitude - minAltitude) / (maxAltitude - minAltitude) * (height - pad.top - pad.bottom);
+
+    context.font = '10px monospace';
+    context.fillStyle = '#909090';
+    context.strokeStyle = 'rgba(120, 120, 140, 0.4)';
+    context.lineWidth = 1;
+
+    // Axes with min/max labels: feet up the side, NM along the bottom.
+    context.beginPath();
+    context.moveTo(pad.left, pad.top);
+    context.lineTo(pad.left, height - pad.bottom);
+    context.lineTo(width - pad.right, height - pad.bottom);
+    context.stroke();
+    context.textAlign = 'right';
+    context.fillText(`${Math.round(maxAltitude)}`, pad.left - 4, pad.top + 8);
+    context.fillText(`${Math.round(minAltitude)} ft`, pad.left - 4, height - pad.bottom);
+    context.fillText(`${(maxDistance / metersPerNauticalMile).toFixed(1)} NM`, width - pad.right, height - 4);
+
+    profile.segments.forEach((segment, index) => {
+        const from = profile.points[index];
+        const to = profile.points[index + 1];
+        context.beginPath();
+        context.moveTo(toX(from.distance), toY(from.altitude));
+        context.lineTo(toX(to.distance), toY(to.altitude));
+        context.strokeStyle = segment.flagged ? '#ff6b6b' : '#66ffee';
+        context.lineWidth = 2;
+        context.stroke();
+    });
+
+    // Named fixes: a dot on the line and the name written down from the axis.
+    profile.points.forEach(point => {
+        if (!point.node.nodeName) return;
+        const x = toX(point.distance);
+        const y = toY(point.altitude);
+        context.beginPath();
+        context.arc(x, y, 3, 0, 2 * Math.PI);
+        context.fillStyle = nodeTypeColors[nodeTypeNames[point.node.nodeType]] || '#ffffff';
+        context.fill();
+
+        context.save();
+        context.translate(x, height - pad.bottom + 4);
+        context.rotate(Math.PI / 4);
+        context.textAlign = 'left';
+        context.fillText(point.node.nodeName, 0, 0);
+        context.restore();
+    });
+}
+
+// Ids of the nodes of one type that can be reached from startId over the route graph.
+function findReachableOfType(graph, startId, typeName) {
+    const reached = [];
+    const seen = new Set([startId]);
+    const queue = [startId];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        if (id !== startId && nodeTypeNames[graph.nodesById.get(id).nodeType] === typeName) reached.push(id);
+        graph.edges.get(id).forEach(edge => {
+            if (seen.has(edge.toId)) return;
+            seen.add(edge.toId);
+            queue.push(edge.toId);
+        });
+    }
+    return reached;
+}
+
+function fillProfileSelect(select, nodeIds, emptyText) {
+    const previousValue = select.value;
+    select.innerHTML = nodeIds.length > 0 ? '' : `<option value="">${emptyText}</option>`;
+    nodeIds.forEach(id => {
+        const node = getNodeById(id);
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = `${node.nodeName || '(unnamed)'} #${id}`;
+        select.appendChild(option);
+    });
+    if (nodeIds.includes(previousValue)) select.value = previousValue;
+}
+
+// Fills From with the flow's start nodes that lead to one of its end nodes, and To
+// with the end nodes reachable from the chosen start.
+function populateProfileEndpoints() {
+    const endpoints = profileFlowEndpoints[profileSourceSelect.value];
+    document.getElementById('profileStartLabel').hidden = !endpoints;
+    document.getElementById('profileEndLabel').hidden = !endpoints;
+    if (!endpoints) return;
+
+    const graph = buildRouteGraph(nodeData);
+    const reachableEnds = new Map();
+    graph.nodesById.forEach((node, id) => {
+        if (!endpoints.start.includes(nodeTypeNames[node.nodeType])) return;
+        const ends = findReachableOfType(graph, id, endpoints.end);
+        if (ends.length > 0) reachableEnds.set(id, ends);
+    });
+
+    fillProfileSelect(profileStartSelect, [...reachableEnds.keys()], `No ${endpoints.start.join('/')} node leads to a ${endpoints.end} node`);
+    fillProfileSelect(profileEndSelect, reachableEnds.get(profileStartSelect.value) || [], '-');
+}
+
+// The route to plot, or a message saying why there is none.
+function getProfileRoute() {
+    if (!profileFlowEndpoints[profileSourceSelect.value]) {
+        return activeRoute ? { route: activeRoute } : { message: 'Find a route in the Route Finder to plot its profile.' };
+    }
+    if (!profileStartSelect.value || !profileEndSelect.value) {
+        return { message: 'No path for this flow in the node data.' };
+    }
+    const route = findShortestRoute(nodeData, profileStartSelect.value, profileEndSelect.value);
+    return route ? { route } : { message: 'No path connects these nodes.' };
+}
+
+function renderVerticalProfile() {
+    const { route, message } = getProfileRoute();
+    if (!route) {
+        activeProfile = null;
+        profileCanvas.hidden = true;
+        profileResultBox.innerHTML = `<p class="map-tool-muted">${message}</p>`;
+        drawScene();
+        return;
+    }
+
+    const gradientLimit = Math.abs(Number(profileGradientInput.value)) || 0;
+    activeProfile = buildVerticalProfile(route, gradientLimit);
+
+    // A line along 0 ft would read as a level path, so say the heights are missing instead
+    const hasHeights = activeProfile.points.some(point => point.altitude !== 0);
+    profileCanvas.hidden = !hasHeights;
+    if (!hasHeights) {
+        profileResultBox.innerHTML = `
+            <p><strong>${formatDistance(route.totalLength)}</strong> over ${route.segments.length} segments</p>
+            <p class="map-tool-muted">The node data has no heights for this path, so there is no profile to plot.</p>
+        `;
+        drawScene();
+        return;
+    }
+    drawProfileChart(activeProfile);
+
+    const flagged = activeProfile.segments.filter(segment => segment.flagged);
+    const items = flagged.map(segment => `
+        <li>
+            <span>${getNodeLabel(getNodeById(segment.fromId))} &rarr; ${getNodeLabel(getNodeById(segment.toId))}</span>
+            <span class="map-tool-error">${formatGradient(segment.gradient)}</span>
+        </li>
+    `);
+
+    profileResultBox.innerHTML = `
+        <p>${flagged.length === 0 ? 'No segment exceeds' : `${flagged.length} segment(s) exceed`} ${gradientLimit}%</p>
+        <ul class="map-tool-list">${items.join('')}</ul>
+    `;
+    drawScene();
+}
+
+// Outlines the too-steep segments on the map while a profile is shown.
+function drawProfileOverlay(context) {
+    if (!activeProfile || !profilePanel.open) return;
+
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.beginPath();
+    activeProfile.segments.filter(segment => segment.flagged).forEach(segment => traceCurve(segment.curve, context));
+    context.strokeStyle = '#ff6b6b';
+    context.lineWidth = 5;
+    context.stroke();
+    context.restore();
+}
+
+// Re-plots when the Route Finder picks a different route while the panel shows it.
+function followActiveRoute() {
+    if (!profilePanel.open || profileSourceSelect.value !== 'route') return;
+    const profiledRoute = activeProfile ? activeProfile.route : null;
+    if (profiledRoute !== activeRoute) renderVerticalProfile();
+}
+
+profilePanel.addEventListener('toggle', () => {
+    if (profilePanel.open) renderVerticalProfile();
+    else drawScene();
+});
+profileGradientInput.addEventListener('change', renderVerticalProfile);
+profileSourceSelect.addEventListener('change', () => {
+    populateProfileEndpoints();
+    renderVerticalProfile();
+});
+profileStartSelect.addEventListener('change', () => {
+    populateProfileEndpoints();
+    renderVerticalProfile();
+});
+profileEndSelect.addEventListener('change', renderVerticalProfile);
+
+sceneOverlayRenderers.push(drawProfileOverlay);
+sceneRenderListeners.push(followActiveRoute);
+nodeDataListeners.push(() => {
+    populateProfileEndpoints();
+    if (profilePanel.open) renderVerticalProfile();
+});
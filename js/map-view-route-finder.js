@@ -0,0 +1,209 @@
+// Route finder for the map view.
+// Finds the shortest path between two nodes over the allNeighbourId graph,
+// using the length of the Bézier segments drawn on the map as edge weights.
+
+const routeStartSelect = document.getElementById('routeStartSelect');
+const routeEndSelect = document.getElementById('routeEndSelect');
+const routeResultBox = document.getElementById('routeResult');
+
+// { nodeIds, segments: [{ fromId, toId, curve, length }], totalLength }
+let activeRoute = null;
+
+// Builds an id -> node lookup and the outgoing weighted edges of every node.
+function buildRouteGraph(nodes) {
+    const nodesById = new Map();
+    nodes.forEach(node => {
+        if (hasValidPosition(node)) nodesById.set(node.id, node);
+    });
+
+    const edges = new Map();
+    nodesById.forEach((node, id) => {
+        const outgoing = [];
+        (node.allNeighbourId || []).forEach(neighId => {
+            const neighbor = nodesById.get(neighId);
+            if (!neighbor) return;
+            const curve = getConnectionCurve(node, neighbor);
+            outgoing.push({ toId: neighId, curve, length: getCurveLength(curve) });
+        });
+        edges.set(id, outgoing);
+    });
+
+    return { nodesById, edges };
+}
+
+// Dijkstra over the directed node graph. Returns null when no path exists.
+function findShortestRoute(nodes, startId, endId) {
+    const { nodesById, edges } = buildRouteGraph(nodes);
+    if (!nodesById.has(startId) || !nodesById.has(endId)) return null;
+
+    const distances = new Map([[startId, 0]]);
+    const previous = new Map();
+    const visited = new Set();
+
+    while (true) {
+        let currentId = null;
+        let currentDistance = Infinity;
+        distances.forEach((distance, id) => {
+            if (!visited.has(id) && distance < currentDistance) {
+                currentId = id;
+                currentDistance = distance;
+            }
+        });
+
+        if (currentId === null) return null;
+        if (currentId === endId) break;
+        visited.add(currentId);
+
+        edges.get(currentId).forEach(edge => {
+            const candidate = currentDistance + edge.length;
+            const known = distances.has(edge.toId) ? distances.get(edge.toId) : Infinity;
+            if (candidate < known) {
+                distances.set(edge.toId, candidate);
+                previous.set(edge.toId, { fromId: currentId, edge });
+            }
+        });
+    }
+
+    const segments = [];
+    let stepId = endId;
+    while (stepId !== startId) {
+        const step = previous.get(stepId);
+        segments.unshift({ fromId: step.fromId, toId: stepId, curve: step.edge.curve, length: step.edge.length });
+        stepId = step.fromId;
+    }
+
+    return {
+        nodeIds: [startId, ...segments.map(segment => segment.toId)],
+        segments,
+        totalLength: distances.get(endId)
+    };
+}
+
+// Fills both dropdowns with every positioned node, grouped by node type.
+function populateRouteSelects(nodes) {
+    [routeStartSelect, routeEndSelect].forEach(select => {
+        const previousValue = select.value;
+        select.innerHTML = '<option value="">Select node...</option>';
+
+        nodeTypeNames.forEach((typeName, typeIndex) => {
+            const typeNodes = nodes.filter(node => node.nodeType === typeIndex && hasValidPosition(node));
+            if (typeNodes.length === 0) return;
+
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = typeName;
+            typeNodes.forEach(node => {
+                const option = document.createElement('option');
+                option.value = node.id;
+                option.textContent = `${node.nodeName || '(unnamed)'} #${node.id}`;
+                optgroup.appendChild(option);
+            });
+            select.appendChild(optgroup);
+        });
+
+        select.value = nodes.some(node => node.id === previousValue) ? previousValue : '';
+    });
+}
+
+// Re-finds the highlighted route after an edit, so moved or deleted nodes don't leave
+// stale curves and lengths behind. Dropped when an endpoint is gone or no longer reachable.
+function refreshActiveRoute(nodes) {
+    if (!activeRoute) return;
+
+    const startId = activeRoute.nodeIds[0];
+    const endId = activeRoute.nodeIds[activeRoute.nodeIds.length - 1];
+    activeRoute = findShortestRoute(nodes, startId, endId);
+    renderRouteResult();
+}
+
+function renderRouteResult() {
+    if (!activeRoute) {
+        routeResultBox.innerHTML = '';
+        return;
+    }
+
+    let distanceSoFar = 0;
+    const namedStops = [];
+
+    activeRoute.nodeIds.forEach((id, index) => {
+        if (index > 0) distanceSoFar += activeRoute.segments[index - 1].length;
+        const node = getNodeById(id);
+        const isEndpoint = index === 0 || index === activeRoute.nodeIds.length - 1;
+        if (!node.nodeName && !isEndpoint) return;
+
+        const color = nodeTypeColors[nodeTypeNames[node.nodeType]] || '#00ffb3';
+        namedStops.push(`
+            <li>
+                <span style="color:${color};">${node.nodeName || `#${node.id}`}</span>
+                <span class="map-tool-muted">${formatDistance(distanceSoFar)}</span>
+            </li>
+        `);
+    });
+
+    routeResultBox.innerHTML = `
+        <p><strong>${formatDistance(activeRoute.totalLength)}</strong> over ${activeRoute.segments.length} segments</p>
+        <ol class="map-tool-list">${namedStops.join('')}</ol>
+    `;
+}
+
+function drawRouteOverlay(context) {
+    if (!activeRoute) return;
+
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+
+    context.beginPath();
+    activeRoute.segments.forEach(segment => traceCurve(segment.curve));
+    context.strokeStyle = '#ffff66';
+    context.lineWidth = 4;
+    context.globalAlpha = 0.85;
+    context.stroke();
+    context.globalAlpha = 1.0;
+
+    const endpoints = [activeRoute.nodeIds[0], activeRoute.nodeIds[activeRoute.nodeIds.length - 1]];
+    endpoints.forEach(id => {
+        const node = getNodeById(id);
+        const point = worldToScreen(node.position.x, node.position.z);
+        context.beginPath();
+        context.arc(point.x, point.y, 11, 0, 2 * Math.PI);
+        context.strokeStyle = '#ffff66';
+        context.lineWidth = 2;
+        context.stroke();
+    });
+
+    context.restore();
+}
+
+function findRouteFromSelection() {
+    const startId = routeStartSelect.value;
+    const endId = routeEndSelect.value;
+
+    if (!startId || !endId) {
+        activeRoute = null;
+        routeResultBox.innerHTML = '<p class="map-tool-error">Select both a start and an end node.</p>';
+        drawScene();
+        return;
+    }
+
+    activeRoute = findShortestRoute(nodeData, startId, endId);
+    if (activeRoute) {
+        renderRouteResult();
+    } else {
+        routeResultBox.innerHTML = '<p class="map-tool-error">No route connects these nodes.</p>';
+    }
+    drawScene();
+}
+
+function clearRoute() {
+    activeRoute = null;
+    routeStartSelect.value = '';
+    routeEndSelect.value = '';
+    renderRouteResult();
+    drawScene();
+}
+
+document.getElementById('routeFindBtn').addEventListener('click', findRouteFromSelection);
+document.getElementById('routeClearBtn').addEventListener('click', clearRoute);
+
+sceneOverlayRenderers.push(drawRouteOverlay);
+nodeDataListeners.push(populateRouteSelects);
+nodeDataListeners.push(refreshActiveRoute);
@@ -0,0 +1,149 @@
+// RT call positions on the map view.
+// Uses the optional rt-call-map-links.json mapping to show where each RT call
+// is made: ?rtCall=<title or phase> highlights that call's node or node range,
+// and the pinned node details list the calls made at that node.
+
+// Entries of the current airport with their resolved nodeIds and curves.
+let rtCallLinks = [];
+let activeRtCallLink = null;
+let rtCallLinksSource = null;
+
+// A node reference in the mapping is an id or a nodeName.
+function resolveRtCallNode(ref) {
+    return getNodeById(ref) || nodeData.find(node => node.nodeName === ref) || null;
+}
+
+// Turns each entry's node or from/to into the node ids and curves it covers.
+function resolveRtCallLinks() {
+    // The manifest is loaded first, so the mapping can arrive before the nodes do.
+    if (nodeData.length === 0) {
+        rtCallLinks = [];
+        return;
+    }
+
+    rtCallLinks = ((rtCallLinksSource || {})[airportCode] || []).map(entry => {
+        if (entry.node) {
+            const node = resolveRtCallNode(entry.node);
+            return { ...entry, nodeIds: node ? [node.id] : [], curves: [] };
+        }
+
+        const from = resolveRtCallNode(entry.from);
+        const to = resolveRtCallNode(entry.to);
+        const route = from && to ? findShortestRoute(nodeData, from.id, to.id) : null;
+        if (!route) console.warn(`RT call "${entry.calls[0]}" has no path from ${entry.from} to ${entry.to}.`);
+        return {
+            ...entry,
+            nodeIds: route ? route.nodeIds : [from, to].filter(Boolean).map(node => node.id),
+            curves: route ? route.segments.map(segment => segment.curve) : []
+        };
+    });
+}
+
+function getRtCallLinksAtNode(nodeId) {
+    return rtCallLinks.filter(entry => entry.nodeIds.includes(nodeId));
+}
+
+// Highlights a call's segment and fits it into view.
+function showRtCallLink(entry) {
+    activeRtCallLink = entry;
+    const nodes = entry.nodeIds.map(getNodeById).filter(hasValidPosition);
+    if (nodes.length > 0) {
+        const view = getExtentView(nodes, canvas.width, canvas.height, 120);
+        const center = withView(view, () => screenToWorld(canvas.width / 2, canvas.height / 2));
+        // A single node would fit at an absurd zoom, so cap it.
+        animateToWorldPoint(center.x, center.z, Math.min(view.scale, 12));
+    }
+    drawScene();
+}
+
+function renderRtCallDetailSection(node) {
+    const entries = getRtCallLinksAtNode(node.id);
+    if (entries.length === 0) return '';
+
+    const items = entries.map(entry => `
+        <li><a href="#" class="node-detail-rt-call" data-call="${entry.calls[0]}">${entry.calls[0]}</a></li>
+    `).join('');
+    return `<p class="node-detail-section-title">RT calls here</p><ul class="map-tool-list">${items}</ul>`;
+}
+
+function drawRtCallOverlay(context) {
+    if (!activeRtCallLink) return;
+
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+
+    context.beginPath();
+    activeRtCallLink.curves.forEach(curve => traceCurve(curve, context));
+    context.strokeStyle = '#ff66ff';
+    context.lineWidth = 5;
+    context.globalAlpha = 0.8;
+    context.stroke();
+    context.globalAlpha = 1.0;
+
+    const nodes = activeRtCallLink.nodeIds.map(getNodeById).filter(hasValidPosition);
+    nodes.forEach(node => {
+        const point = worldToScreen(node.position.x, node.position.z);
+        context.beginPath();
+        context.arc(point.x, point.y, 9, 0, 2 * Math.PI);
+        context.strokeStyle = '#ff66ff';
+        context.lineWidth = 2;
+        context.stroke();
+    });
+
+    if (nodes.length > 0) {
+        const first = worldToScreen(nodes[0].position.x, nodes[0].position.z);
+        context.font = 'bold 14px monospace';
+        context.fillStyle = '#ff66ff';
+        context.textAlign = 'left';
+        context.fillText(`RT: ${activeRtCallLink.calls[0]}`, first.x + 12, first.y + 22);
+    }
+
+    context.restore();
+}
+
+nodeDetailContent.addEventListener('click', (e) => {
+    const link = e.target.closest('.node-detail-rt-call');
+    if (!link) return;
+    e.preventDefault();
+
+    const entry = rtCallLinks.find(candidate => candidate.calls[0] === link.dataset.call);
+    if (entry) showRtCallLink(entry);
+});
+
+let hasHandledRtCallParam = false;
+
+// Waits for both the node data and the mapping, whichever arrives last.
+function handleRtCallParam() {
+    if (hasHandledRtCallParam || nodeData.length === 0 || !rtCallLinksSource) return;
+    hasHandledRtCallParam = true;
+
+    const requested = urlParams.get('rtCall');
+    if (!requested) return;
+
+    const entry = findRtCallMapLink({ [airportCode]: rtCallLinks }, airportCode, [requested]);
+    if (entry) {
+        showRtCallLink(entry);
+    } else {
+        console.warn(`RT call "${requested}" has no map position for ${airportCode}.`);
+    }
+}
+
+loadRtCallMapLinks().then(links => {
+    rtCallLinksSource = links;
+    resolveRtCallLinks();
+    renderNodeDetails();
+    handleRtCallParam();
+});
+
+nodeDetailSections.push(renderRtCallDetailSection);
+sceneOverlayRenderers.push(drawRtCallOverlay);
+// The inspector re-renders before this runs, so render again once the links
+// have caught up with the new node list.
+nodeDataListeners.push(() => {
+    resolveRtCallLinks();
+    if (activeRtCallLink) {
+        activeRtCallLink = rtCallLinks.find(entry => entry.calls[0] === activeRtCallLink.calls[0]) || null;
+    }
+    renderNodeDetails();
+    handleRtCallParam();
+});
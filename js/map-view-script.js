@@ -3,12 +3,14 @@ const ctx = canvas.getContext('2d');
 
 // Get the airport code from the URL
 const urlParams = new URLSearchParams(window.location.search);
-const airportCode = urlParams.get('airport') || 'vghs'; // Default to 'vghs' if not found
+const airportCode = (urlParams.get('airport') || '').toLowerCase();
 
 // --- DYNAMIC DATA AND IMAGE PATHS ---
-// Construct paths based on the airport code from the URL
-const jsonPath = `../data/map-view/${airportCode}_node_data.json`;
-const imagePath = `../image/${airportCode}_runway.png`;
+// The node data and runway image paths come from the airport manifest (data/airports.json).
+const referencePath = '../data/map-view/map-reference-data.json';
+
+// Manifest entry of the airport being shown, null until the manifest has loaded.
+let currentAirport = null;
 
 // Zoom/pan variables FIRST!
 let scale = 1;
@@ -21,9 +23,23 @@ const meterToPixel = 0.05;
 
 let nodeData = [];
 
-// Add this variable near the top of your script
+// id -> node lookup, rebuilt whenever nodeData changes. Keeps the first node
+// for a duplicated id, the same one Array.find would return.
+const nodeIndex = new Map();
+
+function rebuildNodeIndex() {
+    nodeIndex.clear();
+    nodeData.forEach(node => {
+        if (!nodeIndex.has(node.id)) nodeIndex.set(node.id, node);
+    });
+}
+
+function getNodeById(id) {
+    return nodeIndex.get(id);
+}
+
+// The source is set once the reference config says where the image lives.
 const runwayImage = new Image();
-runwayImage.src = imagePath; 
 let isImageLoaded = false;
 let showBackgroundImage = true;
 
@@ -33,7 +49,7 @@ runwayImage.onload = () => {
     drawScene();
 };
 runwayImage.onerror = () => {
-    console.error("Failed to load the runway image from path:", imagePath);
+    console.error("Failed to load the runway image from path:", runwayImage.src);
 };
 
 // Node type variables
@@ -66,6 +82,51 @@ const nodeTypeColors = {
     More_OnGround:    "#b3b3b3"
 };
 
+const metersPerNauticalMile = 1852;
+const earthRadiusMeters = 6378137;
+
+// Geo-reference of the current airport from map-reference-data.json:
+// { arp: { lat, lon }, arpLocal: { x, z }, runwayTrueHeading, runwayLocalHeading,
+//   metersPerUnit, heightFeetPerUnit, rangeRingsNm: [], backgroundImage: { center: { lat, lon }, widthMeters, rotation } }
+// Stays null when the airport has no entry, and the map falls back to plain local units.
+// Only add an airport (or its backgroundImage) once the values come from the AIP or a
+// measured image: the GeoJSON export and range rings trust them as they are. No airport has
+// a measured backgroundImage yet, so the runway image keeps its fixed placement everywhere.
+let mapReference = null;
+
+// Range rings drawn around the ARP, rebuilt from rangeRingsNm when the reference loads.
+const defaultRangeRingsNm = [14, 25, 50];
+let rangeRings = buildRangeRings(defaultRangeRingsNm);
+
+// Extra layers drawn on top of the nodes (route highlight, traffic, ...).
+// Each entry is a function that receives the 2D context.
+const sceneOverlayRenderers = [];
+
+// Callbacks run once the node data for the current airport has loaded,
+// and again whenever the nodes are edited.
+const nodeDataListeners = [];
+
+// Grid, range rings and edges only change with zoom, filters or node edits, so
+// they are drawn into offscreen canvases and blitted. Each layer covers the
+// canvas plus staticLayerPadding pixels on every side, which lets short pans
+// reuse it without re-rendering.
+const staticLayerPadding = 256;
+let staticLayerVersion = 0;
+
+// Counters shown by the render stats overlay.
+const renderStats = { frameMs: 0, fps: 0, framesThisSecond: 0, secondStart: 0, nodesDrawn: 0, edgesDrawn: 0, layerRenders: 0 };
+let showRenderStats = false;
+let isSceneFrameRequested = false;
+
+// Callbacks run after every rendered frame, for things that follow the view
+// rather than draw on it (URL state, ...).
+const sceneRenderListeners = [];
+
+// Feature scripts can claim a mouse gesture before it turns into a pan.
+// Each handler may define down(e) (return true to claim), move(e) and up(e).
+const canvasMouseHandlers = [];
+let activeMouseHandler = null;
+
 // Resize canvas to fill window
 function resizeCanvas() {
     const oldCenterX = offsetX;
@@ -85,191 +146,512 @@ function resizeCanvas() {
 window.addEventListener('resize', resizeCanvas);
 resizeCanvas();
 
-function drawGrid() {
-    const gridSize = 40 * scale;
-    ctx.save();
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
-    ctx.strokeStyle = 'rgba(120, 120, 140, 0.15)';
-    ctx.lineWidth = 1;
+// Converts a world position (local units, x east / z north) to canvas pixels.
+function worldToScreen(x, z) {
+    return {
+        x: offsetX + x * meterToPixel * scale,
+        y: offsetY - z * meterToPixel * scale
+    };
+}
 
-    const startX = offsetX % gridSize;
-    const startY = offsetY % gridSize;
+// Converts canvas pixels back to a world position in local units.
+function screenToWorld(screenX, screenY) {
+    return {
+        x: (screenX - offsetX) / (meterToPixel * scale),
+        z: -(screenY - offsetY) / (meterToPixel * scale)
+    };
+}
+
+function hasValidPosition(node) {
+    return !!node && !!node.position &&
+        typeof node.position.x === 'number' &&
+        typeof node.position.z === 'number';
+}
 
-    for (let x = startX; x <= canvas.width; x += gridSize) {
-        ctx.beginPath();
-        ctx.moveTo(x, 0);
-        ctx.lineTo(x, canvas.height);
-        ctx.stroke();
+// Builds the cubic Bézier between a node and one of its neighbours in world
+// units. fwdAngle is a compass heading (0 = +z), the out handle leaves the
+// node along it and the in handle enters the neighbour along its own heading.
+function getConnectionCurve(node, neighbor) {
+    const fwdRad = node.fwdAngle * Math.PI / 180;
+    const neighborFwdRad = neighbor.fwdAngle * Math.PI / 180;
+    const outDist = node.outHandleDistance || 0;
+    const inDist = neighbor.inHandleDistance || 0;
+
+    return {
+        p0: { x: node.position.x, z: node.position.z },
+        p1: { x: node.position.x + Math.sin(fwdRad) * outDist, z: node.position.z + Math.cos(fwdRad) * outDist },
+        p2: { x: neighbor.position.x - Math.sin(neighborFwdRad) * inDist, z: neighbor.position.z - Math.cos(neighborFwdRad) * inDist },
+        p3: { x: neighbor.position.x, z: neighbor.position.z }
+    };
+}
+
+// Point on a world curve at parameter t (0..1).
+function getCurvePoint(curve, t) {
+    const mt = 1 - t;
+    const a = mt * mt * mt;
+    const b = 3 * mt * mt * t;
+    const c = 3 * mt * t * t;
+    const d = t * t * t;
+    return {
+        x: a * curve.p0.x + b * curve.p1.x + c * curve.p2.x + d * curve.p3.x,
+        z: a * curve.p0.z + b * curve.p1.z + c * curve.p2.z + d * curve.p3.z
+    };
+}
+
+// Approximate arc length of a world curve in local units.
+function getCurveLength(curve, steps = 32) {
+    let length = 0;
+    let prev = curve.p0;
+    for (let i = 1; i <= steps; i++) {
+        const point = getCurvePoint(curve, i / steps);
+        length += Math.hypot(point.x - prev.x, point.z - prev.z);
+        prev = point;
     }
+    return length;
+}
 
-    for (let y = startY; y <= canvas.height; y += gridSize) {
-        ctx.beginPath();
-        ctx.moveTo(0, y);
-        ctx.lineTo(canvas.width, y);
-        ctx.stroke();
+// Mouse position relative to the canvas, usable for events bound to window.
+function getCanvasPoint(e) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+}
+
+// Returns the visible node closest to a canvas point, within radius pixels.
+function getNodeAtScreenPoint(screenX, screenY, radius = 10) {
+    let closest = null;
+    let closestDistance = radius;
+    nodeData.forEach(node => {
+        if (!hasValidPosition(node) || !visibleNodeTypes[nodeTypeNames[node.nodeType]]) return;
+        const point = worldToScreen(node.position.x, node.position.z);
+        const distance = Math.hypot(point.x - screenX, point.y - screenY);
+        if (distance <= closestDistance) {
+            closest = node;
+            closestDistance = distance;
+        }
+    });
+    return closest;
+}
+
+// Lets every listener know the node list changed (after an edit).
+function notifyNodeDataChanged() {
+    rebuildNodeIndex();
+    invalidateStaticLayers();
+    nodeDataListeners.forEach(listener => listener(nodeData));
+    drawScene();
+}
+
+// Forces the cached layers to re-render on the next frame.
+function invalidateStaticLayers() {
+    staticLayerVersion++;
+}
+
+// Saves text or a Blob as a file through a temporary download link.
+function downloadFile(filename, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Moves the view so a world point sits in the middle of the canvas.
+function centerOnWorldPoint(x, z, targetScale = scale) {
+    scale = targetScale;
+    offsetX = canvas.width / 2 - x * meterToPixel * scale;
+    offsetY = canvas.height / 2 + z * meterToPixel * scale;
+    drawScene();
+}
+
+let viewAnimationId = null;
+
+// Eases the view onto a world point over duration ms. Scale is interpolated
+// logarithmically so zooming in and out feel equally fast.
+function animateToWorldPoint(x, z, targetScale = scale, duration = 600) {
+    if (viewAnimationId !== null) cancelAnimationFrame(viewAnimationId);
+
+    const startScale = scale;
+    const startCenter = screenToWorld(canvas.width / 2, canvas.height / 2);
+    const startTime = performance.now();
+
+    const step = (now) => {
+        const t = Math.min((now - startTime) / duration, 1);
+        const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+        const frameScale = startScale * Math.pow(targetScale / startScale, eased);
+        centerOnWorldPoint(
+            startCenter.x + (x - startCenter.x) * eased,
+            startCenter.z + (z - startCenter.z) * eased,
+            frameScale
+        );
+        viewAnimationId = t < 1 ? requestAnimationFrame(step) : null;
+    };
+    viewAnimationId = requestAnimationFrame(step);
+}
+
+// Runs fn with the view temporarily switched to another scale/offset, for
+// drawing the map somewhere other than the live canvas (exports, previews).
+function withView(view, fn) {
+    const saved = { scale, offsetX, offsetY };
+    scale = view.scale;
+    offsetX = view.offsetX;
+    offsetY = view.offsetY;
+    try {
+        return fn();
+    } finally {
+        scale = saved.scale;
+        offsetX = saved.offsetX;
+        offsetY = saved.offsetY;
     }
-    ctx.restore();
 }
 
-function drawRangeCircles() {
-    ctx.save();
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
+// Scale and offset that fit the given nodes into a width x height area.
+function getExtentView(nodes, width, height, padding = 40) {
+    const positioned = nodes.filter(hasValidPosition);
+    if (positioned.length === 0) return { scale, offsetX, offsetY };
+
+    const xs = positioned.map(node => node.position.x);
+    const zs = positioned.map(node => node.position.z);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const minZ = Math.min(...zs);
+    const maxZ = Math.max(...zs);
+
+    const spanX = Math.max(maxX - minX, 1) * meterToPixel;
+    const spanZ = Math.max(maxZ - minZ, 1) * meterToPixel;
+    const fitScale = Math.min((width - padding * 2) / spanX, (height - padding * 2) / spanZ);
+
+    return {
+        scale: fitScale,
+        offsetX: width / 2 - ((minX + maxX) / 2) * meterToPixel * fitScale,
+        offsetY: height / 2 + ((minZ + maxZ) / 2) * meterToPixel * fitScale
+    };
+}
 
-    const centerX = offsetX;
-    const centerY = offsetY;
+// Real-world metres per local unit. Without a reference the units are taken as metres.
+function getMetersPerUnit() {
+    return mapReference && mapReference.metersPerUnit > 0 ? mapReference.metersPerUnit : 1;
+}
 
-    const ranges = [
-        { nm: 50, meters: 9260, color: 'rgba(0,255,255,0.35)' },
-        { nm: 25, meters: 4630, color: 'rgba(0,255,255,0.25)' },
-        { nm: 14, meters: 1298, color: 'rgba(0,255,255,0.18)' }
-    ];
+// Local position of the aerodrome reference point.
+function getArpLocal() {
+    return (mapReference && mapReference.arpLocal) || { x: 0, z: 0 };
+}
 
-    ctx.font = 'bold 18px monospace';
-    ctx.fillStyle = 'rgba(0,255,255,0.85)';
-    ctx.textAlign = 'center';
-
-    ranges.forEach(range => {
-        const radius = range.meters * meterToPixel * scale;
-        ctx.beginPath();
-        ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
-        ctx.strokeStyle = range.color;
-        ctx.lineWidth = 4;
-        ctx.setLineDash([8, 12]);
-        ctx.stroke();
-        ctx.setLineDash([]);
-        ctx.fillText(`${range.nm} NM`, centerX, centerY - radius - 18);
-    });
+// Degrees to turn a local heading clockwise to get a true heading.
+function getReferenceRotation() {
+    if (!mapReference) return 0;
+    return (mapReference.runwayTrueHeading || 0) - (mapReference.runwayLocalHeading || 0);
+}
 
-    ctx.restore();
+function buildRangeRings(nmList) {
+    const sorted = [...nmList].filter(nm => nm > 0).sort((a, b) => a - b);
+    return sorted.map((nm, i) => ({
+        nm,
+        radius: nm * metersPerNauticalMile / getMetersPerUnit(),
+        color: `rgba(0,255,255,${(0.18 + 0.17 * (sorted.length > 1 ? i / (sorted.length - 1) : 1)).toFixed(2)})`
+    }));
 }
 
-function drawNodes(nodes) {
-    ctx.save();
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
+// Metres east/north of the ARP for a local position, rotated onto true north.
+function localToTrueOffset(x, z) {
+    const arp = getArpLocal();
+    const metersPerUnit = getMetersPerUnit();
+    const dx = (x - arp.x) * metersPerUnit;
+    const dz = (z - arp.z) * metersPerUnit;
+    const rotation = getReferenceRotation() * Math.PI / 180;
+    return {
+        east: dx * Math.cos(rotation) + dz * Math.sin(rotation),
+        north: dz * Math.cos(rotation) - dx * Math.sin(rotation)
+    };
+}
 
-    const centerX = offsetX;
-    const centerY = offsetY;
+// Local position to { lat, lon }, or null when the airport is not geo-referenced.
+// An equirectangular projection around the ARP is plenty for a 50 NM map.
+function localToGeo(x, z) {
+    if (!mapReference) return null;
+    const { east, north } = localToTrueOffset(x, z);
+    const arpLatRad = mapReference.arp.lat * Math.PI / 180;
+    return {
+        lat: mapReference.arp.lat + (north / earthRadiusMeters) * 180 / Math.PI,
+        lon: mapReference.arp.lon + (east / (earthRadiusMeters * Math.cos(arpLatRad))) * 180 / Math.PI
+    };
+}
 
-    nodes.forEach((node, idx) => {
-        if (!node.position || typeof node.position.x !== 'number' || typeof node.position.z !== 'number') return;
+// Inverse of localToGeo.
+function geoToLocal(lat, lon) {
+    if (!mapReference) return null;
+    const arpLatRad = mapReference.arp.lat * Math.PI / 180;
+    const north = (lat - mapReference.arp.lat) * Math.PI / 180 * earthRadiusMeters;
+    const east = (lon - mapReference.arp.lon) * Math.PI / 180 * earthRadiusMeters * Math.cos(arpLatRad);
+    const rotation = getReferenceRotation() * Math.PI / 180;
+    const arp = getArpLocal();
+    const metersPerUnit = getMetersPerUnit();
+    return {
+        x: arp.x + (east * Math.cos(rotation) - north * Math.sin(rotation)) / metersPerUnit,
+        z: arp.z + (east * Math.sin(rotation) + north * Math.cos(rotation)) / metersPerUnit
+    };
+}
 
-        const typeName = nodeTypeNames[node.nodeType];
-        if (!visibleNodeTypes[typeName]) return;
+// True bearing (degrees) and distance (metres) of a local position from the ARP.
+function getBearingFromArp(x, z) {
+    const { east, north } = localToTrueOffset(x, z);
+    const bearing = (Math.atan2(east, north) * 180 / Math.PI + 360) % 360;
+    return { bearing, meters: Math.hypot(east, north) };
+}
 
-        const nodeColor = nodeTypeColors[typeName] || "#00ffb3";
+// Formats a length in local units as metres with its nautical-mile equivalent.
+function formatDistance(units) {
+    const meters = units * getMetersPerUnit();
+    return `${Math.round(meters)} m (${(meters / metersPerNauticalMile).toFixed(2)} NM)`;
+}
 
-        const worldX = node.position.x * meterToPixel * scale;
-        const worldY = -node.position.z * meterToPixel * scale;
+// 23.8433 -> "23°50.60'N"
+function formatLatLon(value, positive, negative, degreeDigits) {
+    const absolute = Math.abs(value);
+    const degrees = Math.floor(absolute);
+    const minutes = (absolute - degrees) * 60;
+    return `${String(degrees).padStart(degreeDigits, '0')}°${minutes.toFixed(2).padStart(5, '0')}'${value >= 0 ? positive : negative}`;
+}
 
-        const screenX = centerX + worldX;
-        const screenY = centerY + worldY;
+// Adds a world curve to the current canvas path.
+function traceCurve(curve, context = ctx) {
+    const start = worldToScreen(curve.p0.x, curve.p0.z);
+    const cp1 = worldToScreen(curve.p1.x, curve.p1.z);
+    const cp2 = worldToScreen(curve.p2.x, curve.p2.z);
+    const end = worldToScreen(curve.p3.x, curve.p3.z);
+    context.moveTo(start.x, start.y);
+    context.bezierCurveTo(cp1.x, cp1.y, cp2.x, cp2.y, end.x, end.y);
+}
 
-        ctx.beginPath();
-        ctx.arc(screenX, screenY, 6, 0, 2 * Math.PI);
-        ctx.fillStyle = nodeColor;
-        ctx.shadowColor = nodeColor;
-        ctx.shadowBlur = 8;
-        ctx.fill();
+// Screen rectangle currently on the canvas, optionally grown by margin pixels.
+function getViewBounds(margin = 0) {
+    return { left: -margin, top: -margin, right: canvas.width + margin, bottom: canvas.height + margin };
+}
 
-        ctx.shadowBlur = 0;
-        ctx.font = '14px monospace';
-        ctx.fillStyle = nodeColor;
-        ctx.textAlign = 'left';
-        ctx.fillText(node.nodeName || node.id || `Node ${idx}`, screenX + 10, screenY - 10);
+// A Bézier stays inside the box of its control points, so that box is a safe cull test.
+function isCurveInBounds(curve, bounds) {
+    const points = [curve.p0, curve.p1, curve.p2, curve.p3].map(p => worldToScreen(p.x, p.z));
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    return Math.max(...xs) >= bounds.left && Math.min(...xs) <= bounds.right &&
+        Math.max(...ys) >= bounds.top && Math.min(...ys) <= bounds.bottom;
+}
+
+function drawGrid(context, bounds) {
+    const gridSize = 40 * scale;
+    context.save();
+    context.strokeStyle = 'rgba(120, 120, 140, 0.15)';
+    context.lineWidth = 1;
+
+    const startX = bounds.left + (((offsetX - bounds.left) % gridSize) + gridSize) % gridSize;
+    const startY = bounds.top + (((offsetY - bounds.top) % gridSize) + gridSize) % gridSize;
+
+    context.beginPath();
+    for (let x = startX; x <= bounds.right; x += gridSize) {
+        context.moveTo(x, bounds.top);
+        context.lineTo(x, bounds.bottom);
+    }
+
+    for (let y = startY; y <= bounds.bottom; y += gridSize) {
+        context.moveTo(bounds.left, y);
+        context.lineTo(bounds.right, y);
+    }
+    context.stroke();
+    context.restore();
+}
+
+function drawRangeCircles(context) {
+    context.save();
+
+    const arp = getArpLocal();
+    const { x: centerX, y: centerY } = worldToScreen(arp.x, arp.z);
+
+    context.font = 'bold 18px monospace';
+    context.fillStyle = 'rgba(0,255,255,0.85)';
+    context.textAlign = 'center';
+
+    rangeRings.forEach(range => {
+        const radius = range.radius * meterToPixel * scale;
+        context.beginPath();
+        context.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+        context.strokeStyle = range.color;
+        context.lineWidth = 4;
+        context.setLineDash([8, 12]);
+        context.stroke();
+        context.setLineDash([]);
+        context.fillText(`${range.nm} NM`, centerX, centerY - radius - 18);
     });
 
-    ctx.restore();
+    context.restore();
 }
 
-function drawNodeConnections(nodes) {
-    ctx.save();
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
+function drawNodes(context, nodes, bounds) {
+    context.save();
 
-    const centerX = offsetX;
-    const centerY = offsetY;
+    // Leave room for the label to the right of the node.
+    const labelBounds = { left: bounds.left - 150, top: bounds.top - 20, right: bounds.right + 10, bottom: bounds.bottom + 20 };
 
-    nodes.forEach(node => {
-        if (
-            !node.position ||
-            typeof node.position.x !== 'number' ||
-            typeof node.position.z !== 'number' ||
-            !Array.isArray(node.allNeighbourId)
-        ) return;
+    nodes.forEach((node, idx) => {
+        if (!hasValidPosition(node)) return;
 
         const typeName = nodeTypeNames[node.nodeType];
         if (!visibleNodeTypes[typeName]) return;
 
+        const { x: screenX, y: screenY } = worldToScreen(node.position.x, node.position.z);
+        if (screenX < labelBounds.left || screenX > labelBounds.right || screenY < labelBounds.top || screenY > labelBounds.bottom) return;
+
         const nodeColor = nodeTypeColors[typeName] || "#00ffb3";
 
-        const startX = centerX + node.position.x * meterToPixel * scale;
-        const startY = centerY - node.position.z * meterToPixel * scale;
+        context.beginPath();
+        context.arc(screenX, screenY, 6, 0, 2 * Math.PI);
+        context.fillStyle = nodeColor;
+        context.shadowColor = nodeColor;
+        context.shadowBlur = 8;
+        context.fill();
+
+        context.shadowBlur = 0;
+        context.font = '14px monospace';
+        context.fillStyle = nodeColor;
+        context.textAlign = 'left';
+        context.fillText(node.nodeName || node.id || `Node ${idx}`, screenX + 10, screenY - 10);
+        renderStats.nodesDrawn++;
+    });
+
+    context.restore();
+}
+
+// Lists every link whose source node type is currently shown, as { node, neighbor } pairs.
+function getVisibleConnections(nodes) {
+    const connections = [];
+    nodes.forEach(node => {
+        if (!hasValidPosition(node) || !Array.isArray(node.allNeighbourId)) return;
+        if (!visibleNodeTypes[nodeTypeNames[node.nodeType]]) return;
 
         node.allNeighbourId.forEach(neighId => {
-            const neighbor = nodes.find(n => n.id === neighId);
-            if (
-                !neighbor ||
-                !neighbor.position ||
-                typeof neighbor.position.x !== 'number' ||
-                typeof neighbor.position.z !== 'number'
-            ) return;
-
-            const endX = centerX + neighbor.position.x * meterToPixel * scale;
-            const endY = centerY - neighbor.position.z * meterToPixel * scale;
-            
-            const fwdRad = (node.fwdAngle - 90) * Math.PI / 180;
-            const outHandleVectorX = Math.cos(fwdRad);
-            const outHandleVectorY = Math.sin(fwdRad);
-            
-            const neighborFwdRad = (neighbor.fwdAngle - 90) * Math.PI / 180;
-            const inHandleVectorX = -Math.cos(neighborFwdRad);
-            const inHandleVectorY = -Math.sin(neighborFwdRad);
-            
-            const outDist = (node.outHandleDistance || 0) * meterToPixel * scale;
-            const inDist = (neighbor.inHandleDistance || 0) * meterToPixel * scale;
-            
-            const cp1X = startX + outHandleVectorX * outDist;
-            const cp1Y = startY + outHandleVectorY * outDist;
-            const cp2X = endX + inHandleVectorX * inDist;
-            const cp2Y = endY + inHandleVectorY * inDist;
-
-            ctx.beginPath();
-            ctx.moveTo(startX, startY);
-            ctx.bezierCurveTo(cp1X, cp1Y, cp2X, cp2Y, endX, endY);
-            ctx.strokeStyle = nodeColor;
-            ctx.lineWidth = 1;
-            ctx.globalAlpha = 0.7;
-            ctx.shadowColor = nodeColor;
-            ctx.shadowBlur = 6;
-            ctx.stroke();
-            ctx.shadowBlur = 0;
-            ctx.globalAlpha = 1.0;
+            const neighbor = getNodeById(neighId);
+            if (hasValidPosition(neighbor)) connections.push({ node, neighbor });
         });
     });
+    return connections;
+}
 
-    ctx.restore();
+function drawNodeConnections(context, nodes, bounds) {
+    context.save();
+    renderStats.edgesDrawn = 0;
+
+    getVisibleConnections(nodes).forEach(({ node, neighbor }) => {
+        const curve = getConnectionCurve(node, neighbor);
+        if (!isCurveInBounds(curve, bounds)) return;
+
+        const nodeColor = nodeTypeColors[nodeTypeNames[node.nodeType]] || "#00ffb3";
+
+        context.beginPath();
+        traceCurve(curve, context);
+        context.strokeStyle = nodeColor;
+        context.lineWidth = 1;
+        context.globalAlpha = 0.7;
+        context.shadowColor = nodeColor;
+        context.shadowBlur = 6;
+        context.stroke();
+        context.shadowBlur = 0;
+        context.globalAlpha = 1.0;
+        renderStats.edgesDrawn++;
+    });
+
+    context.restore();
 }
 
-canvas.addEventListener('wheel', function(e) {
-    e.preventDefault();
-    const zoomIntensity = 0.2;
-    const mouseX = e.offsetX;
-    const mouseY = e.offsetY;
-    const prevScale = scale;
+function createStaticLayer(render) {
+    return { canvas: document.createElement('canvas'), render, key: null, originX: 0, originY: 0 };
+}
+
+const staticLayers = [
+    createStaticLayer((context, bounds) => drawGrid(context, bounds)),
+    createStaticLayer((context, bounds) => drawRangeCircles(context, bounds)),
+    createStaticLayer((context, bounds) => drawNodeConnections(context, nodeData, bounds))
+];
+
+// Redraws a layer into its offscreen canvas for the current view.
+function renderStaticLayer(layer) {
+    const width = canvas.width + staticLayerPadding * 2;
+    const height = canvas.height + staticLayerPadding * 2;
+    if (layer.canvas.width !== width || layer.canvas.height !== height) {
+        layer.canvas.width = width;
+        layer.canvas.height = height;
+    }
 
-    if (e.deltaY < 0) {
-        scale *= (1 + zoomIntensity);
+    const layerCtx = layer.canvas.getContext('2d');
+    layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+    layerCtx.clearRect(0, 0, width, height);
+    // Shift by the padding so screen coordinates still line up with worldToScreen.
+    layerCtx.translate(staticLayerPadding, staticLayerPadding);
+    layer.render(layerCtx, getViewBounds(staticLayerPadding));
+
+    layer.key = `${scale}|${staticLayerVersion}|${canvas.width}x${canvas.height}`;
+    layer.originX = offsetX;
+    layer.originY = offsetY;
+    renderStats.layerRenders++;
+}
+
+function drawStaticLayer(layer) {
+    const key = `${scale}|${staticLayerVersion}|${canvas.width}x${canvas.height}`;
+    const panX = offsetX - layer.originX;
+    const panY = offsetY - layer.originY;
+
+    if (layer.key !== key || Math.abs(panX) > staticLayerPadding || Math.abs(panY) > staticLayerPadding) {
+        renderStaticLayer(layer);
+        ctx.drawImage(layer.canvas, -staticLayerPadding, -staticLayerPadding);
     } else {
-        scale *= (1 - zoomIntensity);
-        scale = Math.max(scale, 0.2);
+        ctx.drawImage(layer.canvas, panX - staticLayerPadding, panY - staticLayerPadding);
     }
+}
 
-    offsetX = mouseX - ((mouseX - offsetX) * (scale / prevScale));
-    offsetY = mouseY - ((mouseY - offsetY) * (scale / prevScale));
+function drawRenderStats() {
+    const lines = [
+        `${renderStats.fps} fps, ${renderStats.frameMs.toFixed(1)} ms/frame`,
+        `nodes drawn: ${renderStats.nodesDrawn} / ${nodeData.length}`,
+        `edges cached: ${renderStats.edgesDrawn}`,
+        `layer renders: ${renderStats.layerRenders}`
+    ];
+
+    ctx.save();
+    ctx.font = '12px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    // Sits left of the minimap in the bottom-right corner.
+    ctx.fillRect(canvas.width - 460, canvas.height - 80, 220, 70);
+    ctx.fillStyle = '#9f9';
+    lines.forEach((line, i) => ctx.fillText(line, canvas.width - 452, canvas.height - 62 + i * 16));
+    ctx.restore();
+}
+
+// Smallest zoom the view may reach; zooming in is unbounded.
+const minScale = 0.2;
+
+// Multiplies the scale by factor while keeping the world point under (screenX, screenY) fixed.
+function zoomAtScreenPoint(screenX, screenY, factor) {
+    const prevScale = scale;
+    scale = Math.max(scale * factor, minScale);
+
+    offsetX = screenX - ((screenX - offsetX) * (scale / prevScale));
+    offsetY = screenY - ((screenY - offsetY) * (scale / prevScale));
 
     drawScene();
+}
+
+canvas.addEventListener('wheel', function(e) {
+    e.preventDefault();
+    const zoomIntensity = 0.2;
+    zoomAtScreenPoint(e.offsetX, e.offsetY, e.deltaY < 0 ? 1 + zoomIntensity : 1 - zoomIntensity);
 });
 
 canvas.addEventListener('mousedown', function(e) {
+    activeMouseHandler = canvasMouseHandlers.find(handler => handler.down && handler.down(e)) || null;
+    if (activeMouseHandler) return;
+
     isDragging = true;
     dragStart.x = e.clientX;
     dragStart.y = e.clientY;
@@ -278,6 +660,11 @@ canvas.addEventListener('mousedown', function(e) {
 });
 
 window.addEventListener('mousemove', function(e) {
+    if (activeMouseHandler) {
+        if (activeMouseHandler.move) activeMouseHandler.move(e);
+        return;
+    }
+
     if (isDragging) {
         offsetX = lastOffset.x + (e.clientX - dragStart.x);
         offsetY = lastOffset.y + (e.clientY - dragStart.y);
@@ -285,53 +672,196 @@ window.addEventListener('mousemove', function(e) {
     }
 });
 
-window.addEventListener('mouseup', function() {
+// Cursor position readout: lat/lon plus true bearing/distance from the ARP.
+const cursorReadout = document.getElementById('cursorReadout');
+
+function updateCursorReadout(point) {
+    if (!point) {
+        cursorReadout.textContent = mapReference ? `ARP ${formatLatLon(mapReference.arp.lat, 'N', 'S', 2)} ${formatLatLon(mapReference.arp.lon, 'E', 'W', 3)}` : 'Local units (no geo-reference)';
+        return;
+    }
+
+    const world = screenToWorld(point.x, point.y);
+    const geo = localToGeo(world.x, world.z);
+    if (!geo) {
+        cursorReadout.textContent = `x ${world.x.toFixed(0)}, z ${world.z.toFixed(0)}`;
+        return;
+    }
+
+    const { bearing, meters } = getBearingFromArp(world.x, world.z);
+    cursorReadout.textContent = `${formatLatLon(geo.lat, 'N', 'S', 2)} ${formatLatLon(geo.lon, 'E', 'W', 3)}  ` +
+        `${String(Math.round(bearing) % 360).padStart(3, '0')}°T ${(meters / metersPerNauticalMile).toFixed(1)} NM from ARP`;
+}
+
+canvas.addEventListener('mousemove', (e) => updateCursorReadout(getCanvasPoint(e)));
+canvas.addEventListener('mouseleave', () => updateCursorReadout(null));
+
+window.addEventListener('mouseup', function(e) {
+    if (activeMouseHandler) {
+        if (activeMouseHandler.up) activeMouseHandler.up(e);
+        activeMouseHandler = null;
+    }
     isDragging = false;
 });
 
-function drawBackgroundImage() {
+// Places the runway image from the reference config: centred on its lat/lon,
+// widthMeters wide and turned so its top points at the configured true bearing.
+function drawBackgroundImage(context = ctx) {
     if (!isImageLoaded) return;
 
-    ctx.save();
-    ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+    const placement = mapReference && mapReference.backgroundImage;
+    const center = placement && placement.center ? geoToLocal(placement.center.lat, placement.center.lon) : null;
 
-    const imgWidth = 400 * meterToPixel;
-    const imgHeight = 500 * meterToPixel;
+    context.save();
 
-    ctx.drawImage(runwayImage, -imgWidth, -imgHeight, imgWidth, imgHeight);
+    if (center && placement.widthMeters > 0) {
+        const point = worldToScreen(center.x, center.z);
+        const imgWidth = placement.widthMeters / getMetersPerUnit() * meterToPixel * scale;
+        const imgHeight = imgWidth * (runwayImage.naturalHeight / runwayImage.naturalWidth || 1);
 
-    ctx.restore();
+        context.translate(point.x, point.y);
+        context.rotate(((placement.rotation || 0) - getReferenceRotation()) * Math.PI / 180);
+        context.drawImage(runwayImage, -imgWidth / 2, -imgHeight / 2, imgWidth, imgHeight);
+    } else {
+        // No reference for this airport: keep the old fixed placement.
+        context.translate(offsetX, offsetY);
+        context.scale(scale, scale);
+
+        const imgWidth = 400 * meterToPixel;
+        const imgHeight = 500 * meterToPixel;
+
+        context.drawImage(runwayImage, -imgWidth, -imgHeight, imgWidth, imgHeight);
+    }
+
+    context.restore();
 }
 
+// Schedules a redraw for the next animation frame. Any number of calls in
+// the same frame (mousemove, wheel, animation) collapse into one render.
 function drawScene() {
+    if (isSceneFrameRequested) return;
+    isSceneFrameRequested = true;
+    requestAnimationFrame(() => {
+        isSceneFrameRequested = false;
+        renderScene();
+    });
+}
+
+function renderScene() {
+    const frameStart = performance.now();
+    renderStats.nodesDrawn = 0;
+
     ctx.setTransform(1, 0, 0, 1, 0, 0);
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
     if (showBackgroundImage) {
         drawBackgroundImage();
     }
-    
-    drawGrid();
-    drawRangeCircles();
-    drawNodeConnections(nodeData);
-    drawNodes(nodeData);
+
+    staticLayers.forEach(drawStaticLayer);
+    drawNodes(ctx, nodeData, getViewBounds());
+
+    sceneOverlayRenderers.forEach(renderOverlay => renderOverlay(ctx));
+
+    renderStats.frameMs = performance.now() - frameStart;
+    renderStats.framesThisSecond++;
+    if (frameStart - renderStats.secondStart >= 1000) {
+        renderStats.fps = renderStats.framesThisSecond;
+        renderStats.framesThisSecond = 0;
+        renderStats.secondStart = frameStart;
+    }
+
+    if (showRenderStats) drawRenderStats();
+
+    sceneRenderListeners.forEach(listener => listener());
 }
 
-// Fetch the node data using the dynamic path
-fetch(jsonPath)
-    .then(response => {
-        if (!response.ok) {
-            throw new Error('Network response was not ok');
-        }
-        return response.json();
-    })
-    .then(data => {
-        nodeData = data.nodes;
-        drawScene();
-    })
-    .catch(error => {
-        console.error('Error loading node data:', error);
+// Fetch the reference config; the map still works in local units without it.
+function loadMapReference() {
+    return fetch(referencePath)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
+        .then(data => {
+            mapReference = data[airportCode] || null;
+            if (!mapReference) console.warn(`No map reference for ${airportCode}, showing local units.`);
+        })
+        .catch(error => {
+            console.error('Error loading map reference data:', error);
+        })
+        .finally(() => {
+            rangeRings = buildRangeRings((mapReference && mapReference.rangeRingsNm) || defaultRangeRingsNm);
+            if (currentAirport.runwayImage) runwayImage.src = resolveAirportPath(currentAirport.runwayImage);
+            invalidateStaticLayers();
+            updateCursorReadout(null);
+            drawScene();
+        });
+}
+
+// Fetch the node data using the path from the manifest
+function loadNodeData() {
+    return fetch(resolveAirportPath(currentAirport.nodeData))
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
+        .then(data => {
+            nodeData = data.nodes;
+            rebuildNodeIndex();
+            invalidateStaticLayers();
+            nodeDataListeners.forEach(listener => listener(nodeData));
+            drawScene();
+        })
+        .catch(error => {
+            console.error('Error loading node data:', error);
+        });
+}
+
+function showAirportError(message) {
+    const banner = document.getElementById('airportError');
+    banner.textContent = message;
+    banner.hidden = false;
+}
+
+loadAirportManifest().then(manifest => {
+    // No code: reopen on the manifest's default airport, keeping the other params.
+    if (!airportCode && manifest && manifest.defaultAirport) {
+        urlParams.set('airport', manifest.defaultAirport);
+        window.location.replace(`?${urlParams}`);
+        return;
+    }
+
+    populateAirportSwitcher(document.getElementById('airportSelect'), manifest, airportCode, code => `?airport=${code}`);
+
+    currentAirport = findAirport(manifest, airportCode);
+    if (!currentAirport) {
+        showAirportError(describeAirportError(manifest, airportCode));
+        return;
+    }
+
+    document.title = `${currentAirport.code.toUpperCase()} Map View`;
+    loadMapReference();
+    loadNodeData();
+});
+
+// Node types switched together by the "Show All ... Types" checkboxes.
+const nodeTypeGroups = {
+    arrivalGroup: ["PreArrival", "Arrival", "Arr_Taxiway", "Gate_Inbound"],
+    departureGroup: ["Gate_Outbound", "Dep_Taxiway", "Departure", "PostDeparture"]
+};
+
+// A group checkbox is ticked only while every type in the group is visible.
+function syncNodeTypeGroupFilters() {
+    Object.entries(nodeTypeGroups).forEach(([group, types]) => {
+        const filter = document.getElementById(`filter_${group}`);
+        if (filter) filter.checked = types.every(type => visibleNodeTypes[type]);
     });
+}
 
 // Create checkboxes
 function createNodeTypeFilters() {
@@ -370,28 +900,23 @@ function createNodeTypeFilters() {
     nodeTypeNames.forEach(type => {
         document.getElementById(`filter_${type}`).addEventListener('change', (e) => {
             visibleNodeTypes[type] = e.target.checked;
+            syncNodeTypeGroupFilters();
+            invalidateStaticLayers();
             drawScene();
         });
     });
 
-    // Arrival group toggle
-    document.getElementById('filter_arrivalGroup').addEventListener('change', (e) => {
-        const checked = e.target.checked;
-        ["PreArrival", "Arrival", "Arr_Taxiway", "Gate_Inbound"].forEach(type => {
-            visibleNodeTypes[type] = checked;
-            document.getElementById(`filter_${type}`).checked = checked;
-        });
-        drawScene();
-    });
-
-    // Departure group toggle
-    document.getElementById('filter_departureGroup').addEventListener('change', (e) => {
-        const checked = e.target.checked;
-        ["Gate_Outbound", "Dep_Taxiway", "Departure", "PostDeparture"].forEach(type => {
-            visibleNodeTypes[type] = checked;
-            document.getElementById(`filter_${type}`).checked = checked;
+    // Arrival and departure group toggles
+    Object.entries(nodeTypeGroups).forEach(([group, types]) => {
+        document.getElementById(`filter_${group}`).addEventListener('change', (e) => {
+            const checked = e.target.checked;
+            types.forEach(type => {
+                visibleNodeTypes[type] = checked;
+                document.getElementById(`filter_${type}`).checked = checked;
+            });
+            invalidateStaticLayers();
+            drawScene();
         });
-        drawScene();
     });
 }
 createNodeTypeFilters();
@@ -401,4 +926,8 @@ const imageToggle = document.getElementById('showImageToggle');
 imageToggle.addEventListener('change', (e) => {
     showBackgroundImage = e.target.checked;
     drawScene();
-});
\ No newline at end of file
+});
+document.getElementById('showRenderStatsToggle').addEventListener('change', (e) => {
+    showRenderStats = e.target.checked;
+    drawScene();
+});
@@ -0,0 +1,197 @@
+// Node search and jump-to for the map view.
+// Autocompletes over nodeName, id and the last part of hierarchyPath, then
+// animates the view onto the picked node and pulses it. ?node=<id or name>
+// in the URL jumps straight to a node once the data has loaded.
+
+const nodeSearchInput = document.getElementById('nodeSearchInput');
+const nodeSearchResults = document.getElementById('nodeSearchResults');
+
+const nodeSearchMaxResults = 12;
+// Scale the view zooms in to when jumping, unless it is already closer.
+const nodeSearchJumpScale = 6;
+const nodePulseDuration = 2000;
+
+let nodeSearchMatches = [];
+let nodeSearchActiveIndex = -1;
+let pulseNodeId = null;
+let pulseStartTime = 0;
+let hasHandledNodeParam = false;
+
+// "++AirportData_VGHS++/++Post_Departure_Node++/2 :PN_M.V1" -> "PN_M.V1"
+function getHierarchyTail(node) {
+    if (!node.hierarchyPath) return '';
+    const tail = node.hierarchyPath.split('/').pop();
+    return tail.replace(/^\s*[^:]*:\s*/, '').trim();
+}
+
+// Lower rank is a better match: exact, then prefix, then substring.
+function getSearchRank(text, query) {
+    const value = String(text || '').toLowerCase();
+    if (!value) return Infinity;
+    if (value === query) return 0;
+    if (value.startsWith(query)) return 1;
+    if (value.includes(query)) return 2;
+    return Infinity;
+}
+
+function searchNodes(query) {
+    const normalized = query.trim().toLowerCase();
+    if (!normalized) return [];
+
+    const matches = [];
+    nodeData.forEach(node => {
+        if (!hasValidPosition(node)) return;
+        const fields = [
+            { field: 'name', text: node.nodeName },
+            { field: 'id', text: node.id },
+            { field: 'path', text: getHierarchyTail(node) }
+        ];
+        let best = null;
+        fields.forEach(candidate => {
+            const rank = getSearchRank(candidate.text, normalized);
+            if (rank < Infinity && (!best || rank < best.rank)) best = { ...candidate, rank };
+        });
+        if (best) matches.push({ node, ...best });
+    });
+
+    matches.sort((a, b) => a.rank - b.rank || String(a.text).length - String(b.text).length);
+    return matches.slice(0, nodeSearchMaxResults);
+}
+
+// Finds the node a ?node= value refers to: an id first, then the best name match.
+function findNodeByQuery(query) {
+    const byId = getNodeById(query);
+    if (byId) return byId;
+    const [best] = searchNodes(query);
+    return best ? best.node : null;
+}
+
+function renderNodeSearchResults() {
+    nodeSearchResults.innerHTML = '';
+    nodeSearchResults.hidden = nodeSearchMatches.length === 0;
+
+    nodeSearchMatches.forEach((match, index) => {
+        const typeName = nodeTypeNames[match.node.nodeType] || 'Unknown';
+        const item = document.createElement('li');
+        item.className = index === nodeSearchActiveIndex ? 'active' : '';
+        item.dataset.index = index;
+        item.innerHTML = `
+            <span style="color:${nodeTypeColors[typeName] || '#fff'};">${match.node.nodeName || '(unnamed)'}</span>
+            <span class="map-tool-muted">#${match.node.id} &middot; ${getHierarchyTail(match.node) || typeName}</span>
+        `;
+        nodeSearchResults.appendChild(item);
+    });
+}
+
+function updateNodeSearch() {
+    nodeSearchMatches = searchNodes(nodeSearchInput.value);
+    nodeSearchActiveIndex = nodeSearchMatches.length > 0 ? 0 : -1;
+    renderNodeSearchResults();
+}
+
+function closeNodeSearch() {
+    nodeSearchMatches = [];
+    nodeSearchActiveIndex = -1;
+    renderNodeSearchResults();
+}
+
+// Shows the node even if its type is filtered out, then flies to it.
+function jumpToNode(node) {
+    if (!hasValidPosition(node)) return;
+
+    const typeName = nodeTypeNames[node.nodeType];
+    if (typeName && !visibleNodeTypes[typeName]) {
+        visibleNodeTypes[typeName] = true;
+        const filter = document.getElementById(`filter_${typeName}`);
+        if (filter) filter.checked = true;
+        syncNodeTypeGroupFilters();
+        invalidateStaticLayers();
+    }
+
+    animateToWorldPoint(node.position.x, node.position.z, Math.max(scale, nodeSearchJumpScale));
+    pinNode(node);
+
+    pulseNodeId = node.id;
+    pulseStartTime = performance.now();
+    drawScene();
+}
+
+function selectNodeSearchMatch(index) {
+    const match = nodeSearchMatches[index];
+    if (!match) return;
+    nodeSearchInput.value = match.node.nodeName || match.node.id;
+    closeNodeSearch();
+    jumpToNode(match.node);
+}
+
+// Expanding ring around the node picked from the search, for a couple of seconds.
+function drawNodePulseOverlay(context) {
+    if (pulseNodeId === null) return;
+
+    const node = getNodeById(pulseNodeId);
+    const elapsed = performance.now() - pulseStartTime;
+    if (!hasValidPosition(node) || elapsed > nodePulseDuration) {
+        pulseNodeId = null;
+        return;
+    }
+
+    const point = worldToScreen(node.position.x, node.position.z);
+    const phase = (elapsed % 700) / 700;
+
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.beginPath();
+    context.arc(point.x, point.y, 10 + phase * 30, 0, 2 * Math.PI);
+    context.strokeStyle = '#ffffff';
+    context.globalAlpha = 1 - phase;
+    context.lineWidth = 3;
+    context.stroke();
+    context.restore();
+
+    // Keep frames coming until the pulse is over.
+    drawScene();
+}
+
+nodeSearchInput.addEventListener('input', updateNodeSearch);
+
+nodeSearchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        if (nodeSearchMatches.length === 0) return;
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        nodeSearchActiveIndex = (nodeSearchActiveIndex + step + nodeSearchMatches.length) % nodeSearchMatches.length;
+        renderNodeSearchResults();
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        selectNodeSearchMatch(Math.max(nodeSearchActiveIndex, 0));
+    } else if (e.key === 'Escape') {
+        closeNodeSearch();
+    }
+});
+
+// mousedown rather than click so the pick lands before the input loses focus.
+nodeSearchResults.addEventListener('mousedown', (e) => {
+    const item = e.target.closest('li');
+    if (!item) return;
+    e.preventDefault();
+    selectNodeSearchMatch(Number(item.dataset.index));
+});
+
+nodeSearchInput.addEventListener('blur', closeNodeSearch);
+
+sceneOverlayRenderers.push(drawNodePulseOverlay);
+nodeDataListeners.push(() => {
+    if (hasHandledNodeParam) return;
+    hasHandledNodeParam = true;
+
+    const requested = urlParams.get('node');
+    if (!requested) return;
+
+    const node = findNodeByQuery(requested);
+    if (node) {
+        nodeSearchInput.value = node.nodeName || node.id;
+        jumpToNode(node);
+    } else {
+        console.warn(`Node "${requested}" from the URL was not found.`);
+    }
+});
@@ -0,0 +1,141 @@
+// Shareable map state for the map view.
+// The view centre, scale, visible node types and the background toggle are
+// mirrored into the query string, so a copied link reopens the same view, and
+// the last state of each airport is kept in localStorage as its default.
+//
+// ?airport=vghs&x=1096&z=1257&scale=6&types=Arrival,Departure&bg=0
+
+const mapStateStorageKey = `mapViewState_${airportCode}`;
+const mapStateWriteDelay = 300;
+
+let lastMapStateQuery = null;
+let mapStateWriteTimer = null;
+
+function readMapState() {
+    const center = screenToWorld(canvas.width / 2, canvas.height / 2);
+    return {
+        x: Math.round(center.x),
+        z: Math.round(center.z),
+        scale: Number(scale.toFixed(3)),
+        types: nodeTypeNames.filter(type => visibleNodeTypes[type]),
+        bg: showBackgroundImage
+    };
+}
+
+// Builds the query string for a state. Types are only listed when some are hidden.
+function buildMapStateQuery(state) {
+    const params = new URLSearchParams();
+    params.set('airport', airportCode);
+    params.set('x', state.x);
+    params.set('z', state.z);
+    params.set('scale', state.scale);
+    if (state.types.length !== nodeTypeNames.length) params.set('types', state.types.join(','));
+    if (!state.bg) params.set('bg', '0');
+    return params.toString();
+}
+
+// Reads whatever state the query string carries. Missing values stay undefined.
+function parseMapStateParams(params) {
+    const state = {};
+    const number = (name) => {
+        const value = parseFloat(params.get(name));
+        return Number.isFinite(value) ? value : undefined;
+    };
+
+    state.x = number('x');
+    state.z = number('z');
+    state.scale = number('scale');
+    if (params.has('types')) {
+        state.types = params.get('types').split(',').filter(type => nodeTypeNames.includes(type));
+    }
+    if (params.has('bg')) state.bg = params.get('bg') !== '0';
+    return state;
+}
+
+function loadStoredMapState() {
+    try {
+        return JSON.parse(localStorage.getItem(mapStateStorageKey)) || {};
+    } catch (error) {
+        console.warn('Ignoring unreadable saved map state:', error);
+        return {};
+    }
+}
+
+function applyMapState(state) {
+    if (Array.isArray(state.types)) {
+        nodeTypeNames.forEach(type => {
+            visibleNodeTypes[type] = state.types.includes(type);
+            const filter = document.getElementById(`filter_${type}`);
+            if (filter) filter.checked = visibleNodeTypes[type];
+        });
+        syncNodeTypeGroupFilters();
+        invalidateStaticLayers();
+    }
+
+    if (typeof state.bg === 'boolean') {
+        showBackgroundImage = state.bg;
+        imageToggle.checked = state.bg;
+    }
+
+    if (state.scale > 0 && state.x !== undefined && state.z !== undefined) {
+        centerOnWorldPoint(state.x, state.z, state.scale);
+    }
+    drawScene();
+}
+
+// Runs after every frame, but only touches the URL and storage once the
+// state has settled and actually changed.
+function scheduleMapStateWrite() {
+    // Nothing worth sharing until the manifest has confirmed the airport.
+    if (!currentAirport) return;
+
+    const state = readMapState();
+    const query = buildMapStateQuery(state);
+    if (query === lastMapStateQuery) return;
+    lastMapStateQuery = query;
+
+    clearTimeout(mapStateWriteTimer);
+    mapStateWriteTimer = setTimeout(() => {
+        // Drops ?node= too: once the view moves, x/z describe it instead.
+        history.replaceState(null, '', `${window.location.pathname}?${query}`);
+        try {
+            localStorage.setItem(mapStateStorageKey, JSON.stringify(state));
+        } catch (error) {
+            console.warn('Could not save the map state:', error);
+        }
+    }, mapStateWriteDelay);
+}
+
+function copyMapStateLink() {
+    const url = `${window.location.origin}${window.location.pathname}?${buildMapStateQuery(readMapState())}`;
+    const button = document.getElementById('copyViewLinkBtn');
+    const showResult = (text) => {
+        button.textContent = text;
+        setTimeout(() => { button.textContent = 'Copy View Link'; }, 1500);
+    };
+
+    if (!navigator.clipboard) {
+        window.prompt('Copy this link:', url);
+        return;
+    }
+    navigator.clipboard.writeText(url)
+        .then(() => showResult('Link Copied'))
+        .catch(() => window.prompt('Copy this link:', url));
+}
+
+function clearStoredMapState() {
+    localStorage.removeItem(mapStateStorageKey);
+    const button = document.getElementById('clearSavedViewBtn');
+    button.textContent = 'Cleared';
+    setTimeout(() => { button.textContent = 'Clear Saved View'; }, 1500);
+}
+
+// The URL wins over the saved defaults, value by value.
+applyMapState({ ...loadStoredMapState(), ...Object.fromEntries(
+    Object.entries(parseMapStateParams(urlParams)).filter(([, value]) => value !== undefined)
+) });
+
+document.getElementById('copyViewLinkBtn').addEventListener('click', copyMapStateLink);
+document.getElementById('clearSavedViewBtn').addEventListener('click', clearStoredMapState);
+
+sceneRenderListeners.push(scheduleMapStateWrite);
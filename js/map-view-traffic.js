@@ -0,0 +1,261 @@
+// Traffic playback for the map view.
+// Spawns aircraft symbols and flies/taxies them along the allNeighbourId links,
+// following the same Bézier curves that drawNodeConnections draws.
+
+// Ground speed in metres per second, chosen by the type of the node a segment starts from.
+const trafficSpeedByNodeType = {
+    PreArrival:       110,
+    Arrival:          75,
+    Arr_Taxiway:      10,
+    Gate_Inbound:     5,
+    Gate_Outbound:    5,
+    Dep_Taxiway:      10,
+    Departure:        70,
+    PostDeparture:    110,
+    More_OnSky:       80,
+    More_OnGround:    10
+};
+
+// Seconds an arrival waits on stand before it is pushed back as a departure.
+const trafficGateDwellSeconds = 30;
+const trafficSamplesPerSegment = 24;
+
+const trafficPlayBtn = document.getElementById('trafficPlayBtn');
+const trafficSpeedSelect = document.getElementById('trafficSpeedSelect');
+const trafficAutoSpawnToggle = document.getElementById('trafficAutoSpawnToggle');
+const trafficStatus = document.getElementById('trafficStatus');
+
+let trafficAircraft = [];
+let trafficSpawnCount = 0;
+let isTrafficPlaying = false;
+let trafficFrameId = null;
+let lastTrafficFrameTime = null;
+let trafficAutoSpawnTimer = 0;
+
+function getTrafficNeighbours(node) {
+    return (node.allNeighbourId || [])
+        .map(getNodeById)
+        .filter(hasValidPosition);
+}
+
+// Prepares a segment with a cumulative length table so aircraft move at a
+// constant speed instead of bunching up where the handles are long.
+function createTrafficSegment(fromNode, toNode) {
+    const curve = getConnectionCurve(fromNode, toNode);
+    const samples = [{ t: 0, distance: 0, point: curve.p0 }];
+    let distance = 0;
+    for (let i = 1; i <= trafficSamplesPerSegment; i++) {
+        const t = i / trafficSamplesPerSegment;
+        const point = getCurvePoint(curve, t);
+        const prev = samples[i - 1].point;
+        distance += Math.hypot(point.x - prev.x, point.z - prev.z);
+        samples.push({ t, distance, point });
+    }
+
+    return {
+        fromId: fromNode.id,
+        toId: toNode.id,
+        curve,
+        samples,
+        length: distance,
+        // Local units per second, so the real-world speed holds at any map scale.
+        speed: (trafficSpeedByNodeType[nodeTypeNames[fromNode.nodeType]] || 20) / getMetersPerUnit()
+    };
+}
+
+// Position and heading (radians, screen space) at a distance along a segment.
+function getTrafficPose(segment, distance) {
+    const samples = segment.samples;
+    let index = 1;
+    while (index < samples.length - 1 && samples[index].distance < distance) index++;
+
+    const before = samples[index - 1];
+    const after = samples[index];
+    const span = after.distance - before.distance;
+    const ratio = span > 0 ? (distance - before.distance) / span : 0;
+
+    return {
+        x: before.point.x + (after.point.x - before.point.x) * ratio,
+        z: before.point.z + (after.point.z - before.point.z) * ratio,
+        heading: Math.atan2(-(after.point.z - before.point.z), after.point.x - before.point.x)
+    };
+}
+
+// Picks the next link out of a node, or null when the chain ends there.
+function chooseNextTrafficSegment(node) {
+    if (!node) return null;
+    const neighbours = getTrafficNeighbours(node);
+    if (neighbours.length === 0) return null;
+    const next = neighbours[Math.floor(Math.random() * neighbours.length)];
+    return createTrafficSegment(node, next);
+}
+
+// Inbound and outbound gate nodes are exported as separate chains, so a parked
+// arrival continues from the outbound node with the same name, or the nearest one.
+function findOutboundGateFor(gateNode) {
+    const outboundIndex = nodeTypeNames.indexOf('Gate_Outbound');
+    const candidates = nodeData.filter(node =>
+        node.nodeType === outboundIndex && hasValidPosition(node) && getTrafficNeighbours(node).length > 0);
+    if (candidates.length === 0) return null;
+
+    const sameName = candidates.find(node => gateNode.nodeName && node.nodeName === gateNode.nodeName);
+    if (sameName) return sameName;
+
+    return candidates.reduce((nearest, node) => {
+        const distance = Math.hypot(node.position.x - gateNode.position.x, node.position.z - gateNode.position.z);
+        return distance < nearest.distance ? { node, distance } : nearest;
+    }, { node: null, distance: Infinity }).node;
+}
+
+function spawnTraffic(flow) {
+    const startTypes = flow === 'arrival' ? ['PreArrival'] : ['Gate_Outbound'];
+    const startNodes = nodeData.filter(node =>
+        startTypes.includes(nodeTypeNames[node.nodeType]) &&
+        hasValidPosition(node) &&
+        getTrafficNeighbours(node).length > 0);
+
+    if (startNodes.length === 0) {
+        trafficStatus.textContent = `No ${flow} start nodes with outgoing links.`;
+        return;
+    }
+
+    const startNode = startNodes[Math.floor(Math.random() * startNodes.length)];
+    trafficSpawnCount++;
+    trafficAircraft.push({
+        label: `${flow === 'arrival' ? 'ARR' : 'DEP'}${trafficSpawnCount}`,
+        flow,
+        segment: chooseNextTrafficSegment(startNode),
+        distance: 0,
+        dwell: 0
+    });
+    updateTrafficStatus();
+    drawScene();
+}
+
+// Advances every aircraft by dt simulated seconds and drops those that finished.
+function stepTraffic(dt) {
+    trafficAircraft.forEach(aircraft => {
+        if (aircraft.dwell > 0) {
+            aircraft.dwell -= dt;
+            return;
+        }
+
+        let remaining = dt;
+        while (aircraft.segment && remaining > 0) {
+            const segment = aircraft.segment;
+            const timeToEnd = (segment.length - aircraft.distance) / segment.speed;
+
+            if (timeToEnd > remaining) {
+                aircraft.distance += remaining * segment.speed;
+                remaining = 0;
+                break;
+            }
+
+            remaining -= timeToEnd;
+            const arrivedAt = getNodeById(segment.toId);
+            aircraft.distance = 0;
+            aircraft.segment = chooseNextTrafficSegment(arrivedAt);
+
+            if (!aircraft.segment && arrivedAt && nodeTypeNames[arrivedAt.nodeType] === 'Gate_Inbound') {
+                const outboundGate = findOutboundGateFor(arrivedAt);
+                if (outboundGate) {
+                    aircraft.segment = chooseNextTrafficSegment(outboundGate);
+                    aircraft.flow = 'departure';
+                    aircraft.dwell = trafficGateDwellSeconds;
+                    break;
+                }
+            }
+        }
+    });
+
+    trafficAircraft = trafficAircraft.filter(aircraft => aircraft.segment);
+}
+
+function drawTrafficOverlay(context) {
+    if (trafficAircraft.length === 0) return;
+
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.font = 'bold 12px monospace';
+    context.textAlign = 'left';
+
+    trafficAircraft.forEach(aircraft => {
+        const pose = getTrafficPose(aircraft.segment, aircraft.distance);
+        const point = worldToScreen(pose.x, pose.z);
+        const color = aircraft.flow === 'arrival' ? '#66ffee' : '#ffcc66';
+
+        context.save();
+        context.translate(point.x, point.y);
+        context.rotate(pose.heading);
+        context.beginPath();
+        context.moveTo(10, 0);
+        context.lineTo(-7, -6);
+        context.lineTo(-4, 0);
+        context.lineTo(-7, 6);
+        context.closePath();
+        context.fillStyle = color;
+        context.fill();
+        context.restore();
+
+        context.fillStyle = color;
+        context.fillText(aircraft.dwell > 0 ? `${aircraft.label} (on stand)` : aircraft.label, point.x + 12, point.y + 16);
+    });
+
+    context.restore();
+}
+
+function updateTrafficStatus() {
+    const arrivals = trafficAircraft.filter(aircraft => aircraft.flow === 'arrival').length;
+    trafficStatus.textContent = `${trafficAircraft.length} aircraft (${arrivals} arriving, ${trafficAircraft.length - arrivals} departing)`;
+}
+
+function trafficFrame(timestamp) {
+    if (!isTrafficPlaying) return;
+
+    if (lastTrafficFrameTime !== null) {
+        // Clamp the step so a backgrounded tab does not teleport everything.
+        const dt = Math.min((timestamp - lastTrafficFrameTime) / 1000, 0.25) * Number(trafficSpeedSelect.value);
+        stepTraffic(dt);
+
+        if (trafficAutoSpawnToggle.checked) {
+            trafficAutoSpawnTimer -= dt;
+            if (trafficAutoSpawnTimer <= 0) {
+                trafficAutoSpawnTimer = 120;
+                spawnTraffic(Math.random() < 0.5 ? 'arrival' : 'departure');
+            }
+        }
+
+        updateTrafficStatus();
+        drawScene();
+    }
+
+    lastTrafficFrameTime = timestamp;
+    trafficFrameId = requestAnimationFrame(trafficFrame);
+}
+
+function setTrafficPlaying(playing) {
+    isTrafficPlaying = playing;
+    trafficPlayBtn.textContent = playing ? 'Pause' : 'Play';
+
+    if (playing) {
+        lastTrafficFrameTime = null;
+        trafficFrameId = requestAnimationFrame(trafficFrame);
+    } else if (trafficFrameId !== null) {
+        cancelAnimationFrame(trafficFrameId);
+        trafficFrameId = null;
+    }
+}
+
+function clearTraffic() {
+    trafficAircraft = [];
+    trafficSpawnCount = 0;
+    updateTrafficStatus();
+    drawScene();
+}
+
+trafficPlayBtn.addEventListener('click', () => setTrafficPlaying(!isTrafficPlaying));
+document.getElementById('trafficArrivalBtn').addEventListener('click', () => spawnTraffic('arrival'));
+document.getElementById('trafficDepartureBtn').addEventListener('click', () => spawnTraffic('departure'));
+document.getElementById('trafficClearBtn').addEventListener('click', clearTraffic);
+
+sceneOverlayRenderers.push(drawTrafficOverlay);
@@ -0,0 +1,244 @@
+/* ====================================
+    RT Call Converter
+    Description: Converts between the legacy call file (data/rt-call/all-rt-call-data.json, one
+    session per initialCall/atcCall/feedbackCall) and the per-airport files (one conversation per
+    `calls` list). Fields the other format has no place for are kept in optional fields where the
+    per-airport schema allows it; everything else that cannot be mapped is listed in a report.
+    Runs in the browser (RT call v2 page) and in Node (node tools/convert-rt-call-data.js).
+    ==================================== */
+
+/**
+ * Legacy category keys and the per-airport file type they map to.
+ */
+const legacyCategoryTypes = {
+    allArrivalCall: 'arrival',
+    allDepartureCall: 'departure',
+    allCircuitCall: 'circuit'
+};
+
+/**
+ * Legacy `atcType` values and the speaker of their line in the per-airport files.
+ */
+const atcTypeSpeakers = {
+    Tower: 'TWR',
+    Ground: 'GRD'
+};
+
+/**
+ * Reads the airport code and type from a per-airport file name.
+ * @param {string} fileName - e.g. 'data/rt-call-vghs/vghs-arrival-call-data.json'.
+ * @returns {{code: string, type: string}|null} The code and type, or null when the name does not fit.
+ */
+const parseAirportCallFileName = (fileName) => {
+    const match = /([a-z0-9]{4})-([a-z]+)-call-data\.json$/i.exec(fileName);
+    return match ? { code: match[1].toLowerCase(), type: match[2].toLowerCase() } : null;
+};
+
+/**
+ * The command used when a per-airport conversation has none.
+ */
+const createEmptyCommand = () => ({
+    buttonCaption: '',
+    playOnAwake: false,
+    requiredToInitiate: false,
+    requiredToComplete: false,
+    allCmdInitial: [],
+    allParameterId: []
+});
+
+/**
+ * Works out which legacy slot each call fills, from an explicit `role` or from the order:
+ * an opening pilot line, then an ATC line, then a pilot line.
+ * @param {Array<Object>} calls - The conversation's calls.
+ * @returns {{initial: Object|null, atc: Object|null, feedback: Object|null, rest: Array<Object>}} The slots and the calls left over.
+ */
+const assignLegacyRoles = (calls) => {
+    const slots = { initial: null, atc: null, feedback: null, rest: [] };
+
+    if (calls.some(call => call.role)) {
+        calls.forEach(call => {
+            if (call.role in slots && !slots[call.role]) {
+                slots[call.role] = call;
+            } else {
+                slots.rest.push(call);
+            }
+        });
+        return slots;
+    }
+
+    let index = 0;
+    if (calls[index] && calls[index].speaker === 'Pilot') slots.initial = calls[index++];
+    if (calls[index] && calls[index].speaker !== 'Pilot') slots.atc = calls[index++];
+    if (calls[index] && calls[index].speaker === 'Pilot') slots.feedback = calls[index++];
+    slots.rest = calls.slice(index);
+    return slots;
+};
+
+/**
+ * Splits the legacy call file into per-airport files using each session's `icao` list.
+ * @param {Object} legacyData - The parsed all-rt-call-data.json.
+ * @returns {{airports: Object, report: Array<Object>}} airports is code -> type -> conversations;
+ *   report entries are { level: 'lost' | 'defaulted', where, message }.
+ */
+const convertLegacyToAirport = (legacyData) => {
+    const airports = {};
+    const report = [];
+
+    Object.entries(legacyData).forEach(([categoryKey, sessions]) => {
+        const type = legacyCategoryTypes[categoryKey];
+        if (!type) {
+            if (sessions.length > 0) {
+                report.push({ level: 'lost', where: categoryKey, message: `${sessions.length} session(s) skipped: the per-airport files have no "${categoryKey}" type` });
+            }
+            return;
+        }
+
+        sessions.forEach((session, index) => {
+            const where = `${categoryKey}[${index}] "${session.title}"`;
+            const codes = (session.icao || []).map(code => code.toLowerCase());
+            if (codes.length === 0) {
+                report.push({ level: 'lost', where, message: 'skipped: no icao, so no airport to put it in' });
+                return;
+            }
+
+            let atcSpeaker = atcTypeSpeakers[session.atcType];
+            if (!atcSpeaker) {
+                atcSpeaker = 'TWR';
+                report.push({ level: 'defaulted', where, message: `atcType "${session.atcType}" has no speaker, the ATC line is written as TWR (atcType is kept)` });
+            }
+
+            const calls = [
+                { role: 'initial', speaker: 'Pilot', message: session.initialCall },
+                { role: 'atc', speaker: atcSpeaker, message: session.atcCall },
+                { role: 'feedback', speaker: 'Pilot', message: session.feedbackCall }
+            ].filter(call => call.message);
+
+            // Roles are only written when the order alone would put a line in the wrong slot
+            const inferred = assignLegacyRoles(calls.map(({ speaker, message }) => ({ speaker, message })));
+            const orderIsEnough = calls.every(call => inferred[call.role] && inferred[call.role].message === call.message);
+
+            const conversation = {
+                phase: session.title.trim().replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').toLowerCase(),
+                category: session.category,
+                description: session.description,
+                title: session.title,
+                route: session.Route,
+                atcType: session.atcType,
+                initialCommand: session.initialCommand,
+                feedbackCommand: session.feedbackCommand,
+                calls: calls.map(call => orderIsEnough ? { speaker: call.speaker, message: call.message } : call),
+                callsigns: []
+            };
+
+            codes.forEach(code => {
+                airports[code] = airports[code] || { arrival: [], departure: [], circuit: [] };
+                airports[code][type].push(conversation);
+            });
+        });
+    });
+
+    return { airports, report };
+};
+
+/**
+ * Merges per-airport files into the legacy call file. A conversation found at several airports
+ * with the same content becomes one session listing all of them in `icao`.
+ * @param {Object} airports - Airport code -> type -> conversations (the shape convertLegacyToAirport returns).
+ * @returns {{data: Object, report: Array<Object>}} The legacy call data and the report.
+ */
+const convertAirportToLegacy = (airports) => {
+    const data = Object.fromEntries(Object.keys(legacyCategoryTypes).map(categoryKey => [categoryKey, []]));
+    const categoryKeys = Object.fromEntries(Object.entries(legacyCategoryTypes).map(([categoryKey, type]) => [type, categoryKey]));
+    const speakerAtcTypes = Object.fromEntries(Object.entries(atcTypeSpeakers).map(([atcType, speaker]) => [speaker, atcType]));
+    const sessionsByContent = new Map();
+    const report = [];
+
+    Object.entries(airports).forEach(([code, files]) => {
+        Object.entries(files).forEach(([type, conversations]) => {
+            const categoryKey = categoryKeys[type];
+            if (!categoryKey) {
+                report.push({ level: 'lost', where: `${code} ${type}`, message: `${conversations.length} conversation(s) skipped: the legacy file has no "${type}" category` });
+                return;
+            }
+
+            let generatedTitles = 0;
+            let defaultedCommands = 0;
+            conversations.forEach((conversation, index) => {
+                const where = `${code} ${type}[${index}] "${conversation.title || conversation.phase}"`;
+                const slots = assignLegacyRoles(conversation.calls || []);
+
+                if (slots.rest.length > 0) {
+                    report.push({ level: 'lost', where, message: `${slots.rest.length} call(s) beyond the initial, ATC and feedback lines dropped` });
+                }
+                if ((conversation.callsigns || []).length > 0) {
+                    report.push({ level: 'lost', where, message: `callsigns dropped (${conversation.callsigns.join(', ')})` });
+                }
+                if ((conversation.aircraft || []).length > 0) {
+                    report.push({ level: 'lost', where, message: `aircraft dropped (${conversation.aircraft.join(', ')})` });
+                }
+                if (!conversation.title) generatedTitles++;
+                if (!conversation.initialCommand || !conversation.feedbackCommand) defaultedCommands++;
+
+                const session = {
+                    title: conversation.title || conversation.phase.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase()),
+                    category: conversation.category,
+                    description: conversation.description,
+                    Route: conversation.route || '',
+                    initialCall: slots.initial ? slots.initial.message : null,
+                    atcCall: slots.atc ? slots.atc.message : null,
+                    feedbackCall: slots.feedback ? slots.feedback.message : null,
+                    initialCommand: conversation.initialCommand || createEmptyCommand(),
+                    feedbackCommand: conversation.feedbackCommand || createEmptyCommand(),
+                    atcType: conversation.atcType || (slots.atc && speakerAtcTypes[slots.atc.speaker]) || 'Tower',
+                    icao: []
+                };
+
+                const contentKey = `${categoryKey}|${JSON.stringify(session)}`;
+                if (!sessionsByContent.has(contentKey)) {
+                    sessionsByContent.set(contentKey, session);
+                    data[categoryKey].push(session);
+                }
+                sessionsByContent.get(contentKey).icao.push(code.toUpperCase());
+            });
+
+            if (generatedTitles > 0) {
+                report.push({ level: 'defaulted', where: `${code} ${type}`, message: `${generatedTitles} title(s) made from the phase` });
+            }
+            if (defaultedCommands > 0) {
+                report.push({ level: 'defaulted', where: `${code} ${type}`, message: `${defaultedCommands} conversation(s) without command data got empty commands` });
+            }
+        });
+    });
+
+    return { data, report };
+};
+
+/**
+ * Formats a per-airport file the way the hand-written ones are: two-space indent, one call per line.
+ * @param {Array<Object>} conversations - The conversations of one file.
+ * @returns {string} The file contents.
+ */
+const formatAirportCallFile = (conversations) => {
+    return JSON.stringify(conversations, null, 2)
+        .replace(/\{\n((?:\s+"(?:role|speaker|message)": .*\n)+)\s+\}/g, (match, body) => {
+            return `{ ${body.trim().split('\n').map(line => line.trim()).join(' ')} }`;
+        });
+};
+
+/**
+ * Formats the legacy call file with its usual two-space indent.
+ * @param {Object} data - The legacy call data.
+ * @returns {string} The file contents.
+ */
+const formatLegacyCallFile = (data) => JSON.stringify(data, null, 2);
+
+// Node: used by tools/convert-rt-call-data.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseAirportCallFileName,
+        convertLegacyToAirport,
+        convertAirportToLegacy,
+        formatAirportCallFile,
+        formatLegacyCallFile
+    };
+}
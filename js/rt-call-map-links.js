@@ -0,0 +1,47 @@
+/* ====================================
+    RT Call to Map Links
+    Description: Shared by the RT call pages and the map view. Reads the optional
+    mapping from call titles/phases to a node or node range, and builds the map URL.
+    ==================================== */
+
+const rtCallMapLinksPath = '../data/map-view/rt-call-map-links.json';
+
+/**
+ * Loads the call-to-map mapping. The file is optional, so any failure yields an empty mapping.
+ * @returns {Promise<Object>} Links keyed by lowercase airport code: [{ calls, node } | { calls, from, to }].
+ */
+const loadRtCallMapLinks = async () => {
+    try {
+        const response = await fetch(rtCallMapLinksPath);
+        if (!response.ok) {
+            throw new Error(`HTTP error! Status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.warn('RT call map links not available:', error);
+        return {};
+    }
+};
+
+/**
+ * Finds the link entry for a call, matching any of the given keys (title, phase) case-insensitively.
+ * @param {Object} links - The mapping from loadRtCallMapLinks.
+ * @param {string} airport - The airport code.
+ * @param {Array<string>} keys - Title and/or phase of the call.
+ * @returns {Object|null} The matching entry or null.
+ */
+const findRtCallMapLink = (links, airport, keys) => {
+    const entries = links[String(airport).toLowerCase()] || [];
+    const wanted = keys.filter(Boolean).map(key => key.trim().toLowerCase());
+    return entries.find(entry => entry.calls.some(call => wanted.includes(call.toLowerCase()))) || null;
+};
+
+/**
+ * Builds the map page URL that highlights a call's segment.
+ * @param {string} airport - The airport code.
+ * @param {string} callKey - The call title or phase.
+ * @returns {string} A URL relative to the pages folder.
+ */
+const getRtCallMapUrl = (airport, callKey) => {
+    return `map-view.html?airport=${encodeURIComponent(String(airport).toLowerCase())}&rtCall=${encodeURIComponent(callKey)}`;
+};
@@ -46,21 +46,77 @@ const normalizeString = (str) => {
     Description: The entry point that fetches data and starts the UI setup.
     ==================================== */
 
+/**
+ * Optional mapping from call titles to positions on the airport map, see rt-call-map-links.js.
+ */
+let rtCallMapLinks = {};
+
+/**
+ * The airport picked in the airport switcher, or '' when the page shows all airports.
+ */
+let selectedAirportCode = '';
+
+/**
+ * Keeps only the calls made at one airport, matching each call's `icao` list.
+ * @param {Object} data - The main call data object.
+ * @param {string} airportCode - The airport code, e.g. 'vghs'.
+ * @returns {Object} A call data object with only the categories that still have calls.
+ */
+const filterCallDataByAirport = (data, airportCode) => {
+    const code = airportCode.toUpperCase();
+    return Object.fromEntries(Object.entries(data)
+        .map(([categoryKey, sessions]) => [
+            categoryKey,
+            sessions.filter(session => (session.icao || []).some(icao => icao.toUpperCase() === code))
+        ])
+        .filter(([, sessions]) => sessions.length > 0));
+};
+
 /**
  * Initializes the application by fetching all necessary data files.
+ * `?airport=<code>` limits the calls to one airport of the manifest; without it every call is shown.
  */
 const initializeApp = async () => {
-    const [callData, commandParameterData] = await Promise.all([
+    // Runs alongside the app: problems in the files are shown in a banner instead of only rendering oddly
+    validateDataFiles([
+        { path: 'data/rt-call/all-rt-call-data.json', kind: 'legacyCalls' },
+        { path: 'data/rt-call/all-parameter-data.json', kind: 'parameters' }
+    ]).then(showValidationBanner);
+
+    const [callData, commandParameterData, mapLinks, manifest, aircraftData] = await Promise.all([
         fetchData('../data/rt-call/all-rt-call-data.json'),
-        fetchData('../data/rt-call/all-parameter-data.json')
+        fetchData('../data/rt-call/all-parameter-data.json'),
+        loadRtCallMapLinks(),
+        loadAirportManifest(),
+        fetchData('../data/all-aircraft-data.json')
     ]);
+    rtCallMapLinks = mapLinks;
+    callsignTelephonyNames = buildCallsignTelephonyNames(aircraftData);
+
+    const container = document.querySelector('.communication-table-container');
+    const airportCode = (new URLSearchParams(window.location.search).get('airport') || '').toLowerCase();
+    selectedAirportCode = airportCode;
+    populateAirportSwitcher(document.getElementById('airport-select'), manifest, airportCode,
+        buildCallSearchAirportUrl, 'ALL AIRPORTS');
 
     if (!callData || !commandParameterData) {
-        document.querySelector('.communication-table-container').innerHTML = '<p class="error-message">Could not load all necessary data. Please check the file paths.</p>';
+        container.innerHTML = '<p class="error-message">Could not load all necessary data. Please check the file paths.</p>';
+        return;
+    }
+
+    if (airportCode && !findAirport(manifest, airportCode)) {
+        container.innerHTML = `<p class="error-message">${describeAirportError(manifest, airportCode)}</p>`;
         return;
     }
 
-    setupNavigation(callData, commandParameterData);
+    setupPracticeModeSelect();
+    setupCallTextFormSelect();
+    setupSpeechPlayer(createBrowserSynthesizer());
+    const airportCallData = airportCode ? filterCallDataByAirport(callData, airportCode) : callData;
+    setupNavigation(airportCallData, commandParameterData);
+    setupCallSearch(airportCallData, commandParameterData);
+    setupCommandConsole(airportCallData, commandParameterData);
+    setupFlightRunner(airportCallData, manifest, airportCode);
 };
 
 /* ====================================
@@ -98,6 +154,7 @@ const updateMainTitle = (category) => {
 const renderCallSessions = (sessionsData, categoryName, tooltipData) => {
     const contentContainer = document.querySelector('.communication-table-container');
     contentContainer.innerHTML = '';
+    currentSessionView = { sessionsData, categoryName, tooltipData };
     
     updateMainTitle(categoryName);
 
@@ -154,13 +211,44 @@ const createCallSessionElements = (sessionData, index, totalSessions, tooltipDat
         <tbody>
             <tr>
                 <td class="meta-data-title-cell">
-                    <span class="meta-data-number">${index + 1} of ${totalSessions}</span><br>${sessionData.title}
+                    <span class="meta-data-number">${index + 1} of ${totalSessions}</span><br>${highlightSearchMatches(sessionData.title)}
                 </td>
             </tr>
         </tbody>
     `;
 
     const metaDataTitleCell = metaDataElement.querySelector('.meta-data-title-cell');
+
+    // Link to the map when the mapping knows where this call is made, at the selected airport
+    // or else the first airport the call is made at
+    const airport = selectedAirportCode || (sessionData.icao && sessionData.icao[0]);
+    if (airport && findRtCallMapLink(rtCallMapLinks, airport, [sessionData.title])) {
+        const mapLink = document.createElement('a');
+        mapLink.classList.add('show-on-map-link');
+        mapLink.href = getRtCallMapUrl(airport, sessionData.title);
+        mapLink.target = '_blank';
+        mapLink.title = 'Show on map';
+        mapLink.innerHTML = '<i class="fa-solid fa-location-dot"></i> Map';
+        // Keep the click from also opening the description popup
+        mapLink.addEventListener('click', (event) => event.stopPropagation());
+        metaDataTitleCell.appendChild(document.createElement('br'));
+        metaDataTitleCell.appendChild(mapLink);
+    }
+
+    // Speak this session when the browser can
+    if (rtCallPlayer) {
+        const playButton = document.createElement('button');
+        playButton.classList.add('play-session-button');
+        playButton.title = 'Play this conversation';
+        playButton.innerHTML = '<i class="fa-solid fa-volume-high"></i> Play';
+        playButton.addEventListener('click', (event) => {
+            event.stopPropagation();
+            playSessions([sessionData]);
+        });
+        metaDataTitleCell.appendChild(document.createElement('br'));
+        metaDataTitleCell.appendChild(playButton);
+    }
+
     metaDataTitleCell.addEventListener('click', () => {
         // Now passing the route information to the popup function
         showDescriptionPopup(sessionData.title, sessionData.description, sessionData.Route);
@@ -193,12 +281,13 @@ const createCallDataElement = (sessionData, commandParameterData) => {
         const buttonCell = document.createElement('td');
 
         labelCell.textContent = label;
-        textCell.innerHTML = formatCallContent(text, commandParameterData);
+        textCell.innerHTML = highlightSearchMatches(formatCallContent(text, commandParameterData));
         textCell.classList.add(`call-${type}`);
 
         buttonCell.classList.add('button-cell');
 
-        const isPilot = commandData.caption !== 'ATC';
+        // A session missing its command still renders; the validation banner names the problem
+        const isPilot = !commandData || commandData.caption !== 'ATC';
         
         const buttonOrIcon = createButtonOrIcon({ isPilot, buttonId: type }, commandData, commandParameterData);
         buttonCell.appendChild(buttonOrIcon);
@@ -214,6 +303,25 @@ const createCallDataElement = (sessionData, commandParameterData) => {
     const atcRow = createRow('ATC Call', sessionData.atcCall, 'atc-call', { caption: 'ATC' });
     const feedbackRow = createRow('Feedback', sessionData.feedbackCall, 'feedback', sessionData.feedbackCommand);
 
+    // In practice mode the trainee's line is replaced by an answer box
+    const practiceRow = { pilot: feedbackRow, controller: atcRow }[practiceMode];
+    const practiceTemplate = { pilot: sessionData.feedbackCall, controller: sessionData.atcCall }[practiceMode];
+    if (practiceRow && practiceTemplate) {
+        const textCell = practiceRow.children[1];
+        const practiceBox = createPracticeBox(practiceTemplate, commandParameterData);
+        textCell.innerHTML = '';
+        textCell.appendChild(practiceBox);
+
+        // The readback repeats the ATC call, so it stays blurred until the answer is revealed
+        if (practiceMode === 'controller') {
+            const feedbackText = feedbackRow.children[1];
+            feedbackText.classList.add('practice-concealed');
+            practiceBox.querySelector('.practice-reveal-button').addEventListener('click', () => {
+                feedbackText.classList.remove('practice-concealed');
+            });
+        }
+    }
+
     callDataElement.appendChild(initialRow);
     callDataElement.appendChild(atcRow);
     callDataElement.appendChild(feedbackRow);
@@ -223,9 +331,56 @@ const createCallDataElement = (sessionData, commandParameterData) => {
 
 /* ====================================
     Module 2.4: Call Content Formatting
-    Description: Replaces variable placeholders with styled spans for tooltips, matching them against values from the command-parameter.json file.
+    Description: Replaces variable placeholders with styled spans for tooltips, matching them against values from the command-parameter.json file,
+    and shows the spoken form of the call when it is selected.
     ==================================== */
 
+/**
+ * How call texts are shown: 'written' as in the data, or 'spoken' as said on frequency
+ * (rt-pronunciation.js). Shared with the V2 page through localStorage.
+ */
+let callTextForm = 'written';
+const callTextFormStorageKey = 'rtCallTextForm';
+
+/**
+ * Binds the written/spoken select, starting from the saved choice.
+ */
+const setupCallTextFormSelect = () => {
+    const select = document.getElementById('call-text-form-select');
+    if (!select) return;
+
+    callTextForm = localStorage.getItem(callTextFormStorageKey) === 'spoken' ? 'spoken' : 'written';
+    select.value = callTextForm;
+    select.addEventListener('change', () => {
+        callTextForm = select.value;
+        localStorage.setItem(callTextFormStorageKey, callTextForm);
+        if (currentSessionView) {
+            renderCallSessions(currentSessionView.sessionsData, currentSessionView.categoryName, currentSessionView.tooltipData);
+        }
+    });
+};
+
+/**
+ * Finds the parameter a `{variable}` belongs to, by parameter name or by one of its values.
+ * @param {string} variable - The variable text without braces, e.g. 'QNH 1013' or 'Call Sign'.
+ * @param {Object} commandParameterData - The data for command parameters.
+ * @returns {{name: string, param: Object, byName: boolean}|null} The matching parameter or null.
+ */
+const findCommandParameter = (variable, commandParameterData) => {
+    const normalizedVariable = normalizeString(variable);
+
+    for (const name in commandParameterData) {
+        const param = commandParameterData[name];
+        if (normalizeString(name) === normalizedVariable) {
+            return { name, param, byName: true };
+        }
+        if (param.values.some(paramValue => normalizeString(paramValue) === normalizedVariable)) {
+            return { name, param, byName: false };
+        }
+    }
+    return null;
+};
+
 /**
  * Replaces variable placeholders in call content with styled spans and tooltip data.
  * @param {string} content - The raw call content string.
@@ -239,36 +394,29 @@ const formatCallContent = (content, commandParameterData) => {
 
     let formattedContent = content;
 
+    // In the spoken form the text between the variables is converted here, the variables below,
+    // so their tooltips are still looked up by the written value
+    if (callTextForm === 'spoken') {
+        formattedContent = formattedContent.split(/({[^{}]*})/)
+            .map(part => part.startsWith('{') ? part : toSpokenRadiotelephony(part, callsignTelephonyNames))
+            .join('');
+    }
+
     const regex = new RegExp(`({[^{}]*?})|(${Object.keys(commandParameterData).join('|')})`, 'gi');
 
     formattedContent = formattedContent.replace(regex, (match, variableMatch, nameMatch) => {
         // Handle a curly-braced variable match
         if (variableMatch) {
             const variableValue = variableMatch.slice(1, -1);
-            const normalizedVariable = normalizeString(variableValue);
-            
-            let param = null;
-            let paramName = '';
+            const found = findCommandParameter(variableValue, commandParameterData);
+            const shownValue = callTextForm === 'spoken' ? toSpokenRadiotelephony(variableValue, callsignTelephonyNames) : variableValue;
 
-            for (const name in commandParameterData) {
-                const currentParam = commandParameterData[name];
-                
-                const matchFound = (normalizeString(name) === normalizedVariable) || 
-                                   currentParam.values.some(paramValue => normalizeString(paramValue) === normalizedVariable);
-
-                if (matchFound) {
-                    param = currentParam;
-                    paramName = name;
-                    break;
-                }
-            }
-            
-            if (param) {
-                const tooltipText = `${paramName}: ${param.description.trim()}`;
-                return `<span class="variable-text" data-tooltip-text="${tooltipText}">{${variableValue}}</span>`;
+            if (found) {
+                const tooltipText = `${found.name}: ${found.param.description.trim()}`;
+                return `<span class="variable-text" data-tooltip-text="${tooltipText}">{${shownValue}}</span>`;
             } else {
                 const noMatchTooltip = `No data found for: ${variableValue}`;
-                return `<span class="no-tooltip-text" data-tooltip-text="${noMatchTooltip}">{${variableValue}}</span>`;
+                return `<span class="no-tooltip-text" data-tooltip-text="${noMatchTooltip}">{${shownValue}}</span>`;
             }
         }
 
@@ -532,6 +680,561 @@ const showAutoPlayMessagePopup = () => {
     });
 };
 
+/* ====================================
+    Module 2.7: Readback Practice
+    Description: Hides one line of each conversation so a trainee can type it, then scores the
+    answer token by token against the template. `{variable}` slots accept any allowed value
+    from the parameter data.
+    ==================================== */
+
+/**
+ * The active practice mode: 'off' (read mode), 'pilot' (type the feedback/readback)
+ * or 'controller' (type the ATC call).
+ */
+let practiceMode = 'off';
+
+/**
+ * The last rendered session list, so a mode change can re-render the same view.
+ */
+let currentSessionView = null;
+
+/**
+ * Splits a phrase into lowercase word tokens. Punctuation and hyphens separate tokens,
+ * so 'VDI-14' and 'VDI 14' compare equal.
+ * @param {string} text - The phrase to split.
+ * @returns {Array<string>} The tokens.
+ */
+const tokenizePhrase = (text) => {
+    return text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+};
+
+/**
+ * Turns a call template into the items an answer is scored against: single words,
+ * and `{variable}` slots with every token sequence they accept.
+ * @param {string} template - The call text, e.g. '{Call Sign}, {QNH 1013} report over VOR'.
+ * @param {Object} commandParameterData - The data for command parameters.
+ * @returns {Array<Object>} Items of { text, options: Array<Array<string>>, isSlot }.
+ */
+const parsePracticeTemplate = (template, commandParameterData) => {
+    const items = [];
+    template.split(/({[^{}]*})/).forEach(part => {
+        if (part.startsWith('{') && part.endsWith('}')) {
+            const variable = part.slice(1, -1);
+            const found = findCommandParameter(variable, commandParameterData);
+            // A slot named after the parameter ({Call Sign}) takes any of its values;
+            // a slot holding an example value ({QNH 1013}) also accepts that value.
+            const values = found ? found.param.values.filter(value => value !== 'N/A') : [];
+            if (!found || !found.byName) values.push(variable);
+            const options = values.map(tokenizePhrase).filter(tokens => tokens.length > 0);
+            items.push({ text: part, options, isSlot: true });
+            return;
+        }
+        tokenizePhrase(part).forEach(word => items.push({ text: word, options: [[word]], isSlot: false }));
+    });
+    return items;
+};
+
+/**
+ * Aligns an answer with the template items at the lowest cost: a missed item or an extra
+ * answer token costs one, a match costs nothing. A slot counts as one item, however many words it takes.
+ * @param {string} answer - What the trainee typed.
+ * @param {string} template - The expected call text.
+ * @param {Object} commandParameterData - The data for command parameters.
+ * @returns {Object} { steps, matched, missed, extra, score } where steps are in answer order:
+ *     { kind: 'match' | 'missed' | 'extra', text }.
+ */
+const scorePracticeAnswer = (answer, template, commandParameterData) => {
+    const items = parsePracticeTemplate(template, commandParameterData);
+    const tokens = tokenizePhrase(answer);
+
+    // cost[i][j]: cheapest alignment of items[i..] with tokens[j..].
+    const cost = Array.from({ length: items.length + 1 }, () => new Array(tokens.length + 1).fill(Infinity));
+    const choice = Array.from({ length: items.length + 1 }, () => new Array(tokens.length + 1).fill(null));
+    for (let i = items.length; i >= 0; i--) {
+        for (let j = tokens.length; j >= 0; j--) {
+            if (i === items.length && j === tokens.length) {
+                cost[i][j] = 0;
+                continue;
+            }
+            if (j < tokens.length && 1 + cost[i][j + 1] < cost[i][j]) {
+                cost[i][j] = 1 + cost[i][j + 1];
+                choice[i][j] = { kind: 'extra' };
+            }
+            if (i < items.length) {
+                const item = items[i];
+                if (1 + cost[i + 1][j] < cost[i][j]) {
+                    cost[i][j] = 1 + cost[i + 1][j];
+                    choice[i][j] = { kind: 'missed' };
+                }
+                item.options.forEach(option => {
+                    const end = j + option.length;
+                    if (end > tokens.length || cost[i + 1][end] >= cost[i][j]) return;
+                    if (option.every((word, k) => tokens[j + k] === word)) {
+                        cost[i][j] = cost[i + 1][end];
+                        choice[i][j] = { kind: 'match', length: option.length };
+                    }
+                });
+            }
+        }
+    }
+
+    const steps = [];
+    let i = 0;
+    let j = 0;
+    while (i < items.length || j < tokens.length) {
+        const step = choice[i][j];
+        if (step.kind === 'extra') {
+            steps.push({ kind: 'extra', text: tokens[j] });
+            j++;
+        } else if (step.kind === 'missed') {
+            steps.push({ kind: 'missed', text: items[i].text });
+            i++;
+        } else {
+            steps.push({ kind: 'match', text: tokens.slice(j, j + step.length).join(' '), isSlot: items[i].isSlot });
+            i++;
+            j += step.length;
+        }
+    }
+
+    const matched = steps.filter(step => step.kind === 'match').length;
+    const missed = steps.filter(step => step.kind === 'missed').length;
+    const extra = steps.filter(step => step.kind === 'extra').length;
+    const total = matched + missed + extra;
+    return { steps, matched, missed, extra, score: total > 0 ? Math.round(100 * matched / total) : 0 };
+};
+
+/**
+ * Renders a scored answer: matched phrases, missed phrases (to add) and extra words (to drop).
+ * @param {Object} result - The result of scorePracticeAnswer.
+ * @returns {string} The HTML for the result area.
+ */
+const renderPracticeResult = (result) => {
+    const steps = result.steps.map(step => {
+        const slotClass = step.isSlot ? ' practice-slot' : '';
+        return `<span class="practice-${step.kind}${slotClass}">${step.text}</span>`;
+    }).join(' ');
+
+    return `
+        <p class="practice-score">Score ${result.score}% &middot; ${result.matched} matched &middot; ${result.missed} missed &middot; ${result.extra} extra</p>
+        <p class="practice-alignment">${steps}</p>
+    `;
+};
+
+/**
+ * Creates the answer box that replaces a hidden call line in practice mode.
+ * @param {string} template - The hidden call text.
+ * @param {Object} commandParameterData - The data for command parameters.
+ * @returns {HTMLElement} The practice box element.
+ */
+const createPracticeBox = (template, commandParameterData) => {
+    const box = document.createElement('div');
+    box.classList.add('practice-box');
+    box.innerHTML = `
+        <textarea class="practice-input" rows="2" placeholder="Type the ${practiceMode === 'controller' ? 'ATC call' : 'readback'}, then press Enter"></textarea>
+        <div class="practice-actions">
+            <button class="practice-check-button">Check</button>
+            <button class="practice-reveal-button">Reveal</button>
+        </div>
+        <div class="practice-result"></div>
+    `;
+
+    const input = box.querySelector('.practice-input');
+    const resultArea = box.querySelector('.practice-result');
+    const check = () => {
+        resultArea.innerHTML = renderPracticeResult(scorePracticeAnswer(input.value, template, commandParameterData));
+    };
+
+    box.querySelector('.practice-check-button').addEventListener('click', check);
+    box.querySelector('.practice-reveal-button').addEventListener('click', () => {
+        resultArea.innerHTML = `<p class="practice-answer">${formatCallContent(template, commandParameterData)}</p>`;
+    });
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' && !event.shiftKey) {
+            event.preventDefault();
+            check();
+        }
+    });
+
+    return box;
+};
+
+/**
+ * Binds the practice mode selector in the navigation panel.
+ */
+const setupPracticeModeSelect = () => {
+    const select = document.getElementById('practice-mode-select');
+    if (!select) return;
+
+    select.value = practiceMode;
+    select.addEventListener('change', () => {
+        practiceMode = select.value;
+        if (currentSessionView) {
+            renderCallSessions(currentSessionView.sessionsData, currentSessionView.categoryName, currentSessionView.tooltipData);
+        }
+    });
+};
+
+/* ====================================
+    Module 2.8: Spoken Playback
+    Description: Plays a session, or every session in the current list, through rt-call-speech.js
+    with separate pilot and controller voices, and highlights the line being spoken.
+    ==================================== */
+
+/**
+ * Speaking rates per role: pilots read back a little faster than the controller instructs.
+ */
+const speechRoleRates = { pilot: 1.1, controller: 0.95 };
+const speechVoiceStorageKey = 'rtCallSpeechVoices';
+
+/**
+ * Callsign -> telephony name from all-aircraft-data.json, e.g. { EK584: 'EMIRATES 584' }.
+ */
+let callsignTelephonyNames = {};
+
+/**
+ * The player for this page, or null when the browser cannot speak.
+ */
+let rtCallPlayer = null;
+
+/**
+ * The sessions queued in the player, used to find the row of the line being spoken.
+ */
+let speechSessions = [];
+
+/**
+ * Highlights the row of the line being spoken, or clears the highlight when given null.
+ * @param {Object|null} line - A line from the speech queue.
+ */
+const highlightSpokenLine = (line) => {
+    document.querySelectorAll('.call-data-table tr.speaking').forEach(row => row.classList.remove('speaking'));
+    const status = document.getElementById('speech-status');
+    if (!line) {
+        status.textContent = '';
+        return;
+    }
+
+    const session = speechSessions[line.sessionIndex];
+    status.textContent = `${session.title} (${line.role === 'pilot' ? 'Pilot' : 'ATC'})`;
+
+    const wrapper = document.getElementById(`session-${session.title.replace(/\s+/g, '-')}`);
+    const row = wrapper && wrapper.querySelectorAll('.call-data-table tr')[line.lineIndex];
+    if (row) {
+        row.classList.add('speaking');
+        row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+};
+
+/**
+ * Starts playing the given sessions from the first line.
+ * @param {Array<Object>} sessions - The sessions to queue.
+ */
+const playSessions = (sessions) => {
+    if (!rtCallPlayer || sessions.length === 0) return;
+    speechSessions = sessions;
+    rtCallPlayer.play(sessions);
+};
+
+/**
+ * Fills the pilot and ATC voice selects, keeping the saved or current choice.
+ * Defaults to two different voices when the browser has more than one.
+ * @param {Object} synthesizer - The synthesizer in use.
+ */
+const populateSpeechVoiceSelects = (synthesizer) => {
+    const voiceNames = synthesizer.getVoiceNames();
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(speechVoiceStorageKey)) || {};
+    } catch (error) {
+        console.warn('Ignoring unreadable saved voices:', error);
+    }
+
+    [['pilot', 'speech-pilot-voice', 0], ['controller', 'speech-atc-voice', 1]].forEach(([role, selectId, defaultIndex]) => {
+        const select = document.getElementById(selectId);
+        const current = select.value || saved[role];
+        select.innerHTML = voiceNames.map(name => `<option>${name}</option>`).join('');
+        select.value = voiceNames.includes(current) ? current : (voiceNames[defaultIndex] || voiceNames[0] || '');
+    });
+};
+
+/**
+ * Creates the page's player and binds the player bar. Without speech support the bar says so.
+ * @param {Object|null} synthesizer - The synthesizer to use, normally createBrowserSynthesizer().
+ */
+const setupSpeechPlayer = (synthesizer) => {
+    const playerBar = document.getElementById('speech-player');
+    if (!playerBar) return;
+
+    if (!synthesizer) {
+        playerBar.querySelectorAll('button, select').forEach(control => { control.disabled = true; });
+        document.getElementById('speech-status').textContent = 'Speech is not supported in this browser.';
+        return;
+    }
+
+    const pilotVoiceSelect = document.getElementById('speech-pilot-voice');
+    const atcVoiceSelect = document.getElementById('speech-atc-voice');
+    const pauseButton = document.getElementById('speech-pause-btn');
+
+    rtCallPlayer = createRtCallPlayer(synthesizer, {
+        getVoiceSettings: (role) => ({
+            voiceName: role === 'pilot' ? pilotVoiceSelect.value : atcVoiceSelect.value,
+            rate: speechRoleRates[role]
+        }),
+        pronounce: (text) => toSpokenRadiotelephony(text, callsignTelephonyNames),
+        onLine: highlightSpokenLine,
+        onStateChange: (state) => {
+            playerBar.classList.toggle('is-playing', state !== 'stopped');
+            pauseButton.innerHTML = state === 'paused' ? '<i class="fa-solid fa-play"></i>' : '<i class="fa-solid fa-pause"></i>';
+        }
+    });
+
+    populateSpeechVoiceSelects(synthesizer);
+    if (synthesizer.onVoicesChanged) synthesizer.onVoicesChanged(() => populateSpeechVoiceSelects(synthesizer));
+
+    [pilotVoiceSelect, atcVoiceSelect].forEach(select => select.addEventListener('change', () => {
+        localStorage.setItem(speechVoiceStorageKey, JSON.stringify({ pilot: pilotVoiceSelect.value, controller: atcVoiceSelect.value }));
+    }));
+
+    document.getElementById('speech-play-all-btn').addEventListener('click', () => {
+        if (currentSessionView) playSessions(currentSessionView.sessionsData);
+    });
+    pauseButton.addEventListener('click', () => rtCallPlayer.togglePause());
+    document.getElementById('speech-next-btn').addEventListener('click', () => rtCallPlayer.next());
+    document.getElementById('speech-stop-btn').addEventListener('click', () => rtCallPlayer.stop());
+};
+
+/* ====================================
+    Module 2.9: Command Console
+    Description: A testbed for the simulator's command grammar. A typed line is parsed with
+    rt-command-parser.js and the console shows the call it triggers or what is still missing.
+    ==================================== */
+
+/**
+ * Every typeable command of the calls on the page, see buildCommandIndex.
+ */
+let commandIndex = [];
+
+/**
+ * Scrolls to the session a command belongs to, opening its category when it is not on the page.
+ * @param {Object} entry - A command index entry.
+ */
+const showCommandSession = (entry) => {
+    const targetId = `session-${entry.session.title.replace(/\s+/g, '-')}`;
+    if (!document.getElementById(targetId)) {
+        const categoryButton = document.querySelector(`.category-filter-button[data-category-key="${entry.categoryKey}"]`);
+        if (categoryButton) categoryButton.click();
+    }
+
+    const targetElement = document.getElementById(targetId);
+    if (targetElement) {
+        targetElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        highlightSelectedCall(targetId);
+    }
+};
+
+/**
+ * Renders a parse result below the console input.
+ * @param {Object} result - The result of parseCommandLine.
+ * @param {Object} commandParameterData - The data for command parameters, for example values.
+ */
+const renderCommandResult = (result, commandParameterData) => {
+    const resultBox = document.getElementById('command-result');
+
+    if (result.status === 'empty') {
+        resultBox.innerHTML = '';
+        return;
+    }
+
+    if (result.status === 'unknown') {
+        const suggestions = result.suggestions.length > 0 ? ` Known commands: ${result.suggestions.join(', ')}.` : ' No commands are defined for these calls.';
+        resultBox.innerHTML = `<p class="command-status command-error">Unknown command "${result.typedKeyword}".${suggestions}</p>`;
+        return;
+    }
+
+    const { entry } = result;
+    const callText = entry.role === 'initial' ? entry.session.initialCall : entry.session.feedbackCall;
+    const readAs = normalizeCommandText(result.typedKeyword) !== normalizeCommandText(result.keyword)
+        ? ` <span class="command-note">(read "${result.typedKeyword}" as ${result.keyword})</span>`
+        : '';
+
+    const parameterItems = result.parameters.map(parameter => {
+        if (parameter.status === 'ok') {
+            return `<li class="command-ok">${parameter.id}: ${parameter.value}</li>`;
+        }
+        if (parameter.status === 'invalid') {
+            return `<li class="command-error">${parameter.id}: "${parameter.typed}" is not a known value</li>`;
+        }
+        if (parameter.status === 'unknown') {
+            return `<li class="command-error">${parameter.id}: not in the parameter data</li>`;
+        }
+        const example = ((commandParameterData[parameter.id] || {}).values || [])[0];
+        return `<li class="command-missing">${parameter.id}: missing${example ? `, e.g. "${example}"` : ''}</li>`;
+    }).join('');
+
+    const status = result.status === 'ok'
+        ? `<p class="command-status command-ok"><i class="fa-solid fa-check"></i> ${result.keyword}${readAs} triggers "${entry.command.buttonCaption}" in ${entry.session.title}</p>`
+        : `<p class="command-status command-missing"><i class="fa-solid fa-triangle-exclamation"></i> ${result.keyword}${readAs} is incomplete for ${entry.session.title}</p>`;
+
+    resultBox.innerHTML = `
+        ${status}
+        ${parameterItems ? `<ul class="command-parameters">${parameterItems}</ul>` : ''}
+        ${result.unusedWords.length > 0 ? `<p class="command-note">Ignored: ${result.unusedWords.join(' ')}</p>` : ''}
+        ${result.alternatives.length > 0 ? `<p class="command-note">Also used by: ${result.alternatives.map(alternative => alternative.session.title).join(', ')}</p>` : ''}
+        <p class="command-call">${entry.role === 'initial' ? 'Initial Call' : 'Feedback'}: ${callText || 'Not available'}</p>
+        <button class="command-show-button">Show call</button>
+    `;
+    resultBox.querySelector('.command-show-button').addEventListener('click', () => showCommandSession(entry));
+};
+
+/**
+ * Binds the command console to the calls on the page.
+ * @param {Object} data - The main call data object (already limited to the selected airport).
+ * @param {Object} commandParameterData - The data for command parameters.
+ */
+const setupCommandConsole = (data, commandParameterData) => {
+    const input = document.getElementById('command-input');
+    if (!input) return;
+
+    commandIndex = buildCommandIndex(data);
+    document.getElementById('command-keywords').innerHTML = [...new Set(commandIndex.map(entry => entry.keyword))]
+        .map(keyword => `<option value="${keyword}">`).join('');
+
+    input.addEventListener('input', () => {
+        renderCommandResult(parseCommandLine(input.value, commandIndex, commandParameterData), commandParameterData);
+    });
+    // Enter jumps to the triggered call
+    input.addEventListener('keydown', (event) => {
+        if (event.key !== 'Enter') return;
+        const result = parseCommandLine(input.value, commandIndex, commandParameterData);
+        renderCommandResult(result, commandParameterData);
+        if (result.status === 'ok') showCommandSession(result.entry);
+    });
+};
+
+/* ====================================
+    Module 2.10: Flight Runner
+    Description: Runs one callsign through an ordered list of sessions with rt-flight-runner.js.
+    Awake calls play by themselves, required calls wait for the Issue button, and every call
+    made is added to the timeline.
+    ==================================== */
+
+/**
+ * The sessions of the flight, in order.
+ */
+let runnerFlow = [];
+
+/**
+ * The running flight, or null while the flow is being put together.
+ */
+let flightRunner = null;
+
+/**
+ * Renders the flow list, with each phase's progress while a flight runs.
+ * @param {Object|null} state - The runner state, or null when no flight runs.
+ */
+const renderRunnerFlow = (state) => {
+    const flowList = document.getElementById('runner-flow');
+    if (runnerFlow.length === 0) {
+        flowList.innerHTML = '<li class="runner-empty">Add phases, or use the calls listed on the page.</li>';
+        return;
+    }
+
+    flowList.innerHTML = runnerFlow.map((session, index) => {
+        const phaseStatus = state ? state.phases[index].status : 'pending';
+        const removeButton = state ? '' : `<button class="runner-remove-btn" data-index="${index}" title="Remove"><i class="fa-solid fa-xmark"></i></button>`;
+        return `<li class="runner-${phaseStatus}">${session.title} ${removeButton}</li>`;
+    }).join('');
+};
+
+/**
+ * Renders the waiting step, the flow progress and the timeline of a flight.
+ * @param {Object} state - The runner state.
+ */
+const renderRunnerState = (state) => {
+    renderRunnerFlow(state);
+    const controls = document.getElementById('runner-controls');
+
+    if (state.status === 'finished') {
+        controls.innerHTML = `<p class="runner-status command-ok"><i class="fa-solid fa-check"></i> ${state.callsign} completed ${state.phases.length} phases with ${state.timeline.length} calls.</p>`;
+    } else if (state.waiting) {
+        const { step, canSkip, reason } = state.waiting;
+        const caption = step.command.buttonCaption || (step.role === 'initial' ? 'Initial Call' : 'Feedback');
+        controls.innerHTML = `
+            <p class="runner-status">${state.callsign} waits in <strong>${state.phases[state.phaseIndex].session.title}</strong> for "${caption}" <span class="command-note">(${reason})</span></p>
+            <button id="runner-issue-btn">Issue "${caption}"</button>
+            <button id="runner-skip-btn" ${canSkip ? '' : 'disabled'} title="${canSkip ? 'Skip this call' : 'This call cannot be skipped'}">${step.status === 'pending' && step.command.requiredToComplete ? 'Put Off' : 'Skip'}</button>
+        `;
+        document.getElementById('runner-issue-btn').addEventListener('click', () => flightRunner.issue());
+        document.getElementById('runner-skip-btn').addEventListener('click', () => flightRunner.skip());
+    }
+
+    document.getElementById('runner-timeline').innerHTML = state.timeline.map(entry => `
+        <li class="runner-${entry.trigger}">
+            <span class="runner-phase">${entry.title}</span>
+            <strong>${entry.speaker}:</strong> ${entry.text}
+            <span class="runner-trigger">${entry.trigger === 'awake' ? 'auto' : 'issued'}</span>
+        </li>
+    `).join('');
+};
+
+/**
+ * Ends the running flight, so the flow can be edited again.
+ */
+const resetFlightRunner = () => {
+    flightRunner = null;
+    document.getElementById('runner-controls').innerHTML = '';
+    document.getElementById('runner-timeline').innerHTML = '';
+    renderRunnerFlow(null);
+};
+
+/**
+ * Binds the flight runner to the calls and callsigns of the selected airport.
+ * @param {Object} data - The main call data object (already limited to the selected airport).
+ * @param {Object|null} manifest - The airport manifest, for the callsign groups.
+ * @param {string} airportCode - The selected airport, or '' for all airports.
+ */
+const setupFlightRunner = (data, manifest, airportCode) => {
+    const callsignSelect = document.getElementById('runner-callsign');
+    if (!callsignSelect) return;
+
+    const airports = ((manifest && manifest.airports) || []).filter(airport => !airportCode || airport.code === airportCode);
+    callsignSelect.innerHTML = airports.map(airport => Object.entries(airport.callsignGroups || {})
+        .map(([group, callsigns]) => `<optgroup label="${airport.code.toUpperCase()} ${group}">${callsigns.map(callsign => `<option>${callsign}</option>`).join('')}</optgroup>`)
+        .join('')).join('');
+
+    const sessions = Object.values(data).flat();
+    document.getElementById('runner-session-select').innerHTML = Object.entries(data)
+        .map(([categoryKey, categorySessions]) => `<optgroup label="${categoryKey.replace('all', '').replace('Call', '')}">${categorySessions
+            .map(session => `<option value="${sessions.indexOf(session)}">${session.title}</option>`).join('')}</optgroup>`)
+        .join('');
+
+    document.getElementById('runner-add-btn').addEventListener('click', () => {
+        const session = sessions[document.getElementById('runner-session-select').value];
+        if (session) runnerFlow.push(session);
+        resetFlightRunner();
+    });
+    document.getElementById('runner-use-list-btn').addEventListener('click', () => {
+        if (currentSessionView) runnerFlow = [...currentSessionView.sessionsData];
+        resetFlightRunner();
+    });
+    document.getElementById('runner-clear-btn').addEventListener('click', () => {
+        runnerFlow = [];
+        resetFlightRunner();
+    });
+    document.getElementById('runner-flow').addEventListener('click', (event) => {
+        const button = event.target.closest('.runner-remove-btn');
+        if (!button) return;
+        runnerFlow.splice(Number(button.dataset.index), 1);
+        resetFlightRunner();
+    });
+    document.getElementById('runner-start-btn').addEventListener('click', () => {
+        if (runnerFlow.length === 0 || !callsignSelect.value) return;
+        flightRunner = createFlightRunner({ callsign: callsignSelect.value, sessions: runnerFlow, onChange: renderRunnerState });
+        flightRunner.start();
+    });
+
+    renderRunnerFlow(null);
+};
+
 /* ====================================
     Module 3: Event Listeners & Navigation
     Description: Manages the interactive components of the UI, including tooltips and the two-tier navigation panel.
@@ -774,6 +1477,237 @@ const highlightSelectedCall = (sessionId) => {
     }
 };
 
+/* ====================================
+    Module 3.3: Search & Facet Filtering
+    Description: One search box across titles, descriptions, routes and call texts, plus facet filters.
+    While a search or facet is active the results span every category; the state is kept in the URL.
+    ==================================== */
+
+/**
+ * The facets a call can be filtered by. Each returns the facet values of one call session.
+ */
+const callSearchFacets = {
+    atcType: { label: 'ATC Type', getValues: (session) => session.atcType ? [session.atcType] : [] },
+    icao: { label: 'Airport', getValues: (session) => (session.icao || []).map(icao => icao.toUpperCase()) },
+    category: { label: 'Category', getValues: (session) => session.category ? [session.category] : [] },
+    playOnAwake: {
+        label: 'Play On Awake',
+        getValues: (session) => [[session.initialCommand, session.feedbackCommand].some(command => command && command.playOnAwake === true) ? 'Yes' : 'No']
+    },
+    param: {
+        label: 'Parameter',
+        getValues: (session) => [...new Set([session.initialCommand, session.feedbackCommand]
+            .flatMap(command => (command && command.allParameterId) || [])
+            .map(paramId => paramId.trim()))]
+    }
+};
+
+/**
+ * The current search: the typed query and the checked values of each facet.
+ */
+let callSearchState = { query: '', facets: {} };
+
+/**
+ * The lower-cased words of the current query, used for matching and highlighting.
+ */
+let callSearchTerms = [];
+
+/**
+ * Reads the search state from the query string: `?q=12dme+arc&atcType=Tower&param=QNH&param=Altitude`.
+ * @param {URLSearchParams} params - The page's query parameters.
+ * @returns {Object} The search state.
+ */
+const readCallSearchState = (params) => {
+    const facets = {};
+    Object.keys(callSearchFacets).forEach(facetKey => {
+        const values = params.getAll(facetKey).filter(Boolean);
+        if (values.length > 0) facets[facetKey] = values;
+    });
+    return { query: params.get('q') || '', facets };
+};
+
+/**
+ * Writes the search state into the URL, keeping unrelated parameters such as `airport`.
+ */
+const writeCallSearchState = () => {
+    const params = new URLSearchParams(window.location.search);
+    params.delete('q');
+    Object.keys(callSearchFacets).forEach(facetKey => params.delete(facetKey));
+
+    if (callSearchState.query) params.set('q', callSearchState.query);
+    Object.entries(callSearchState.facets).forEach(([facetKey, values]) => {
+        values.forEach(value => params.append(facetKey, value));
+    });
+
+    const query = params.toString();
+    history.replaceState(null, '', query ? `${window.location.pathname}?${query}` : window.location.pathname);
+};
+
+/**
+ * Builds the URL of another airport's calls (or all airports for ''), keeping the search and facets.
+ * The Airport facet is dropped when one airport is chosen, as the page then holds only its calls.
+ * @param {string} code - The airport code, or '' for all airports.
+ * @returns {string} The URL to open.
+ */
+const buildCallSearchAirportUrl = (code) => {
+    const params = new URLSearchParams(window.location.search);
+    if (code) {
+        params.set('airport', code);
+        params.delete('icao');
+    } else {
+        params.delete('airport');
+    }
+
+    const query = params.toString();
+    return query ? `?${query}` : window.location.pathname;
+};
+
+/**
+ * Checks whether any search term or facet value is set.
+ * @returns {boolean} True while a search is active.
+ */
+const isCallSearchActive = () => {
+    return callSearchTerms.length > 0 || Object.values(callSearchState.facets).some(values => values.length > 0);
+};
+
+/**
+ * Checks a call session against the query and every facet except `skipFacet`.
+ * Query words must all appear somewhere in the searchable text; facet values are ORed within a facet.
+ * @param {Object} session - The call session.
+ * @param {string} [skipFacet] - A facet to ignore, used for the counts next to its own values.
+ * @returns {boolean} True when the session matches.
+ */
+const matchesCallSearch = (session, skipFacet) => {
+    const searchableText = [session.title, session.description, session.Route, session.initialCall, session.atcCall, session.feedbackCall]
+        .filter(Boolean).join('\n').toLowerCase();
+    if (!callSearchTerms.every(term => searchableText.includes(term))) return false;
+
+    return Object.entries(callSearchState.facets).every(([facetKey, values]) => {
+        if (facetKey === skipFacet || values.length === 0) return true;
+        return callSearchFacets[facetKey].getValues(session).some(value => values.includes(value));
+    });
+};
+
+/**
+ * Wraps the search terms in `<mark>` inside an HTML string, leaving tags and attributes untouched.
+ * @param {string} html - The HTML string, e.g. the output of formatCallContent.
+ * @returns {string} The HTML string with highlighted matches.
+ */
+const highlightSearchMatches = (html) => {
+    if (callSearchTerms.length === 0) return html;
+
+    const pattern = new RegExp(`(${callSearchTerms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    return html.split(/(<[^>]*>)/).map(part => {
+        if (part.startsWith('<')) return part;
+        return part.replace(pattern, '<mark class="search-highlight">$1</mark>');
+    }).join('');
+};
+
+/**
+ * Sets up the search box and facet filters for the calls shown on the page.
+ * @param {Object} data - The main call data object (already limited to the selected airport).
+ * @param {Object} tooltipData - The data for variable tooltips.
+ */
+const setupCallSearch = (data, tooltipData) => {
+    const searchInput = document.getElementById('call-search-input');
+    const facetContainer = document.getElementById('call-facet-container');
+    const allSessions = Object.values(data).flat();
+
+    const setSearchState = (state) => {
+        callSearchState = state;
+        callSearchTerms = state.query.toLowerCase().split(/\s+/).filter(Boolean);
+    };
+
+    const renderFacets = () => {
+        facetContainer.innerHTML = '';
+        Object.entries(callSearchFacets).forEach(([facetKey, facet]) => {
+            const counts = {};
+            allSessions.forEach(session => {
+                const matches = matchesCallSearch(session, facetKey);
+                facet.getValues(session).forEach(value => {
+                    counts[value] = (counts[value] || 0) + (matches ? 1 : 0);
+                });
+            });
+
+            const values = Object.keys(counts).sort();
+            if (values.length < 2) return; // Nothing to choose between
+
+            const group = document.createElement('div');
+            group.classList.add('call-facet-group');
+            group.innerHTML = `<div class="call-facet-title">${facet.label}</div>`;
+
+            values.forEach(value => {
+                const checked = (callSearchState.facets[facetKey] || []).includes(value);
+                const label = document.createElement('label');
+                label.classList.add('call-facet-option');
+                if (counts[value] === 0 && !checked) label.classList.add('empty');
+                label.innerHTML = `<input type="checkbox"${checked ? ' checked' : ''}> ${value} <span class="call-facet-count">${counts[value]}</span>`;
+
+                label.querySelector('input').addEventListener('change', (event) => {
+                    const selected = new Set(callSearchState.facets[facetKey] || []);
+                    if (event.target.checked) {
+                        selected.add(value);
+                    } else {
+                        selected.delete(value);
+                    }
+                    setSearchState({ query: callSearchState.query, facets: { ...callSearchState.facets, [facetKey]: [...selected] } });
+                    applySearch();
+                });
+                group.appendChild(label);
+            });
+            facetContainer.appendChild(group);
+        });
+    };
+
+    const applySearch = () => {
+        writeCallSearchState();
+        renderFacets();
+
+        if (!isCallSearchActive()) {
+            // Back to the category that was open before the search
+            const activeCategory = document.querySelector('.category-filter-button.active') || document.querySelector('.category-filter-button');
+            if (activeCategory) activeCategory.click();
+            return;
+        }
+
+        const results = allSessions.filter(session => matchesCallSearch(session));
+        document.querySelectorAll('#phase-list-container .nav-link-button').forEach(link => link.classList.remove('active'));
+        // Ends in ' Call', so the title reads like the category views ('All Arrival Call')
+        renderCallSessions(results, `${results.length} Matching Call`, tooltipData);
+        renderSubNavigationLinks(results);
+
+        if (results.length === 0) {
+            document.querySelector('.communication-table-container').innerHTML = '<p class="no-data-message">No calls match the search.</p>';
+        }
+    };
+
+    // Browsing a category or phase leaves the search; capture runs before the link's own handler
+    const leaveSearch = (event) => {
+        const target = event.target.closest('.category-filter-button, .nav-link-button:not(.dynamic-nav-link)');
+        if (!target || !isCallSearchActive()) return;
+        setSearchState({ query: '', facets: {} });
+        searchInput.value = '';
+        writeCallSearchState();
+        renderFacets();
+    };
+    document.getElementById('category-filter-container').addEventListener('click', leaveSearch, true);
+    document.getElementById('phase-list-container').addEventListener('click', leaveSearch, true);
+
+    searchInput.addEventListener('input', () => {
+        setSearchState({ query: searchInput.value.trim(), facets: callSearchState.facets });
+        applySearch();
+    });
+
+    setSearchState(readCallSearchState(new URLSearchParams(window.location.search)));
+    searchInput.value = callSearchState.query;
+    if (isCallSearchActive()) {
+        document.getElementById('call-facets').open = Object.keys(callSearchState.facets).length > 0;
+        applySearch();
+    } else {
+        renderFacets();
+    }
+};
+
 /* ====================================
     Module 4: Initial Call
     Description: The entry point of the application, which triggers the data fetching process.
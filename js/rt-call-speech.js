@@ -0,0 +1,147 @@
+/* ====================================
+    RT Call Speech
+    Description: Spoken playback of RT call sessions. The player only talks to a small
+    synthesizer interface, so the browser's speech synthesis can be swapped for a fake one.
+    Pages pass a `pronounce` function, normally toSpokenRadiotelephony from rt-pronunciation.js.
+    ==================================== */
+
+/* ====================================
+    Module 1: Synthesizer Interface
+    Description: The player needs an object with
+      speak(text, { voiceName, rate }) -> Promise resolved when the line is finished or cancelled,
+      pause(), resume(), cancel() and getVoiceNames() -> Array<string>.
+      Pages may also use the optional onVoicesChanged(callback) to refresh their voice lists.
+    ==================================== */
+
+/**
+ * Wraps the browser's speech synthesis in the synthesizer interface.
+ * @param {SpeechSynthesis} [speech] - Defaults to window.speechSynthesis.
+ * @returns {Object|null} The synthesizer, or null when the browser cannot speak.
+ */
+const createBrowserSynthesizer = (speech = window.speechSynthesis) => {
+    if (!speech || typeof SpeechSynthesisUtterance === 'undefined') return null;
+
+    return {
+        speak: (text, { voiceName, rate = 1 } = {}) => new Promise(resolve => {
+            const utterance = new SpeechSynthesisUtterance(text);
+            const voice = speech.getVoices().find(candidate => candidate.name === voiceName);
+            if (voice) utterance.voice = voice;
+            utterance.rate = rate;
+            // A cancelled line ends with an error event; either way the line is over
+            utterance.onend = resolve;
+            utterance.onerror = resolve;
+            speech.speak(utterance);
+        }),
+        pause: () => speech.pause(),
+        resume: () => speech.resume(),
+        cancel: () => speech.cancel(),
+        getVoiceNames: () => speech.getVoices()
+            .filter(voice => voice.lang.toLowerCase().startsWith('en'))
+            .map(voice => voice.name),
+        onVoicesChanged: (callback) => speech.addEventListener('voiceschanged', callback)
+    };
+};
+
+/* ====================================
+    Module 2: Session Player
+    Description: Queues the lines of one or more sessions (initial -> ATC -> feedback) and
+    plays them in order with play/pause/next/stop.
+    ==================================== */
+
+/**
+ * Lists the spoken lines of sessions in playing order.
+ * @param {Array<Object>} sessions - Call sessions with initialCall, atcCall and feedbackCall.
+ * @returns {Array<Object>} Lines of { sessionIndex, lineIndex, role: 'pilot' | 'controller', text }.
+ */
+const buildSpeechQueue = (sessions) => {
+    const lines = [];
+    sessions.forEach((session, sessionIndex) => {
+        [
+            { role: 'pilot', text: session.initialCall },
+            { role: 'controller', text: session.atcCall },
+            { role: 'pilot', text: session.feedbackCall }
+        ].forEach((line, lineIndex) => {
+            if (line.text) lines.push({ sessionIndex, lineIndex, role: line.role, text: line.text });
+        });
+    });
+    return lines;
+};
+
+/**
+ * Creates a player for RT call sessions.
+ * @param {Object} synthesizer - Any object implementing the synthesizer interface.
+ * @param {Object} options
+ * @param {function(string): Object} options.getVoiceSettings - Role -> { voiceName, rate }.
+ * @param {function(string): string} [options.pronounce] - Text -> spoken text.
+ * @param {function(Object|null): void} [options.onLine] - Called with each line as it starts, null when done.
+ * @param {function(string): void} [options.onStateChange] - Called with 'playing', 'paused' or 'stopped'.
+ * @returns {Object} { play(sessions), togglePause(), next(), stop(), getState() }.
+ */
+const createRtCallPlayer = (synthesizer, { getVoiceSettings, pronounce = text => text, onLine = () => {}, onStateChange = () => {} }) => {
+    let lines = [];
+    let position = 0;
+    let state = 'stopped';
+    // Bumped on every stop/skip, so a cancelled line does not advance the queue.
+    let runId = 0;
+
+    const setState = (newState) => {
+        state = newState;
+        onStateChange(state);
+    };
+
+    const run = async (id) => {
+        while (id === runId && position < lines.length) {
+            const line = lines[position];
+            onLine(line);
+            await synthesizer.speak(pronounce(line.text), getVoiceSettings(line.role));
+            if (id !== runId) return;
+            position++;
+        }
+        if (id === runId) {
+            onLine(null);
+            setState('stopped');
+        }
+    };
+
+    const restart = () => {
+        runId++;
+        synthesizer.cancel();
+        // A paused synthesizer would hold the new line as well
+        if (state === 'paused') synthesizer.resume();
+        setState('playing');
+        run(runId);
+    };
+
+    return {
+        play: (sessions) => {
+            lines = buildSpeechQueue(sessions);
+            position = 0;
+            restart();
+        },
+        togglePause: () => {
+            if (state === 'playing') {
+                synthesizer.pause();
+                setState('paused');
+            } else if (state === 'paused') {
+                synthesizer.resume();
+                setState('playing');
+            }
+        },
+        // Skips to the first line of the next session.
+        next: () => {
+            if (state === 'stopped') return;
+            const current = lines[position];
+            while (position < lines.length && current && lines[position].sessionIndex === current.sessionIndex) {
+                position++;
+            }
+            restart();
+        },
+        stop: () => {
+            runId++;
+            synthesizer.cancel();
+            onLine(null);
+            setState('stopped');
+        },
+        getState: () => state
+    };
+};
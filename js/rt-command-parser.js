@@ -0,0 +1,227 @@
+/* ====================================
+    RT Command Parser
+    Description: Parses a command line such as 'approveInbound QNH 1013 descend 3000ft' the way
+    the simulator's command-line and voice input would. The keyword is matched loosely against
+    every `allCmdInitial`, and the rest of the line is checked against the values of the
+    command's `allParameterId` in the parameter data.
+    ==================================== */
+
+/**
+ * Lowercases and strips everything but letters and digits.
+ * @param {string} text - The text to normalize.
+ * @returns {string} The normalized text.
+ */
+const normalizeCommandText = (text) => String(text).replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+
+/**
+ * Counts the single-character edits between two strings.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The Levenshtein distance.
+ */
+const levenshteinDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Lists every command that can be typed, one entry per keyword and session.
+ * @param {Object} callData - The call data object (category key -> sessions).
+ * @returns {Array<Object>} Entries of { keyword, categoryKey, session, role: 'initial' | 'feedback', command }.
+ */
+const buildCommandIndex = (callData) => {
+    const entries = [];
+    Object.entries(callData).forEach(([categoryKey, sessions]) => {
+        sessions.forEach(session => {
+            [['initial', session.initialCommand], ['feedback', session.feedbackCommand]].forEach(([role, command]) => {
+                ((command && command.allCmdInitial) || []).forEach(keyword => {
+                    entries.push({ keyword, categoryKey, session, role, command });
+                });
+            });
+        });
+    });
+    return entries;
+};
+
+/**
+ * Finds the keyword the line starts with. The first one to three words are tried, so
+ * 'approve inbound' finds 'approveInbound'; small typos are allowed (about one per five letters).
+ * @param {Array<string>} tokens - The words of the line.
+ * @param {Array<string>} keywords - The known keywords.
+ * @returns {{keyword: string|null, typed: string, length: number, distance: number, suggestions: Array<string>}}
+ *   The best keyword (null when none is close enough), what was typed for it and how many words it used.
+ */
+const matchCommandKeyword = (tokens, keywords) => {
+    const uniqueKeywords = [...new Set(keywords)];
+    let best = { keyword: null, typed: tokens[0] || '', length: 1, distance: Infinity };
+
+    for (let length = 1; length <= Math.min(3, tokens.length); length++) {
+        const typed = normalizeCommandText(tokens.slice(0, length).join(''));
+        uniqueKeywords.forEach(keyword => {
+            const distance = levenshteinDistance(typed, normalizeCommandText(keyword));
+            if (distance < best.distance) {
+                best = { keyword, typed: tokens.slice(0, length).join(' '), length, distance };
+            }
+        });
+    }
+
+    const allowedDistance = best.keyword ? Math.max(1, Math.floor(normalizeCommandText(best.keyword).length / 5)) : 0;
+    const suggestions = uniqueKeywords
+        .map(keyword => ({ keyword, distance: levenshteinDistance(normalizeCommandText(tokens[0] || ''), normalizeCommandText(keyword)) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, 3)
+        .map(entry => entry.keyword);
+
+    if (best.distance > allowedDistance) {
+        return { keyword: null, typed: tokens[0] || '', length: 0, distance: best.distance, suggestions };
+    }
+    return { ...best, suggestions };
+};
+
+/**
+ * Finds where a run of words spells `target` once normalized, so '3000 ft' matches '3000ft'.
+ * @param {Array<string>} tokens - The words of the line.
+ * @param {string} target - The normalized text to find.
+ * @param {Set<number>} used - Word indexes already taken by the keyword or other parameters.
+ * @returns {{start: number, end: number}|null} The inclusive word range, or null.
+ */
+const findTokenRun = (tokens, target, used) => {
+    if (!target) return null;
+    for (let start = 0; start < tokens.length; start++) {
+        let text = '';
+        for (let end = start; end < tokens.length && !used.has(end); end++) {
+            text += normalizeCommandText(tokens[end]);
+            if (text === target) return { start, end };
+            if (!target.startsWith(text)) break;
+        }
+    }
+    return null;
+};
+
+/**
+ * Checks whether a typed word is a form of a fixed parameter word ('descend' for 'Descending').
+ * @param {string} token - The typed word.
+ * @param {string} word - The normalized fixed word.
+ * @returns {boolean} True when they share at least four leading letters or are equal.
+ */
+const isFixedWordForm = (token, word) => {
+    const typed = normalizeCommandText(token);
+    if (!typed) return false;
+    if (typed === word) return true;
+    const common = Math.min(typed.length, word.length);
+    return common >= 4 && typed.slice(0, common) === word.slice(0, common);
+};
+
+/**
+ * Looks for one parameter's value in the line. Words shared by every value ('QNH', 'taxi via')
+ * are optional; the rest must spell one of the known values. When the shared words are typed
+ * but no known value follows, the value is reported as invalid.
+ * @param {Array<string>} tokens - The words of the line.
+ * @param {string} parameterId - The parameter id, e.g. 'QNH'.
+ * @param {Object} parameterData - The parameter data (name -> { values }).
+ * @param {Set<number>} used - Word indexes already taken; matched words are added to it.
+ * @returns {{id: string, status: 'ok' | 'missing' | 'invalid' | 'unknown', value?: string, typed?: string}}
+ */
+const findParameterValue = (tokens, parameterId, parameterData, used) => {
+    const name = Object.keys(parameterData).find(key => normalizeCommandText(key) === normalizeCommandText(parameterId));
+    if (!name) return { id: parameterId, status: 'unknown' };
+
+    const values = (parameterData[name].values || []).filter(value => value !== 'N/A');
+    const valueWords = values.map(value => value.split(/\s+/).map(normalizeCommandText).filter(Boolean));
+    const fixedWords = values.length > 1
+        ? valueWords[0].filter(word => valueWords.every(words => words.includes(word)))
+        : [];
+
+    // Longest values first, so 'taxi via S1-S-C' wins over 'taxi via S1'
+    const candidates = values
+        .map((value, index) => ({ value, target: valueWords[index].filter(word => !fixedWords.includes(word)).join('') }))
+        .sort((a, b) => b.target.length - a.target.length);
+
+    for (const candidate of candidates) {
+        const run = findTokenRun(tokens, candidate.target, used);
+        if (!run) continue;
+
+        // Take the fixed words typed just before the value along with it
+        let start = run.start;
+        while (start > 0 && !used.has(start - 1) && fixedWords.some(word => isFixedWordForm(tokens[start - 1], word))) start--;
+        for (let i = start; i <= run.end; i++) used.add(i);
+        return { id: name, status: 'ok', value: candidate.value, typed: tokens.slice(start, run.end + 1).join(' ') };
+    }
+
+    // The fixed words were typed, so whatever follows them was meant as the value
+    const fixedIndex = tokens.findIndex((token, index) => !used.has(index) && fixedWords.some(word => isFixedWordForm(token, word)));
+    if (fixedIndex !== -1) {
+        let end = fixedIndex;
+        while (end + 1 < tokens.length && !used.has(end + 1) && fixedWords.some(word => isFixedWordForm(tokens[end + 1], word))) end++;
+        if (end + 1 < tokens.length && !used.has(end + 1)) end++;
+        for (let i = fixedIndex; i <= end; i++) used.add(i);
+        return { id: name, status: 'invalid', typed: tokens.slice(fixedIndex, end + 1).join(' ') };
+    }
+
+    return { id: name, status: 'missing' };
+};
+
+/**
+ * Parses a command line against the command index.
+ *
+ * When several sessions share a keyword, the one whose parameters are all given wins; among
+ * those (or, when none is complete, among all) the one with the most matched parameters,
+ * then the fewest missing or invalid ones.
+ *
+ * @param {string} input - The typed line.
+ * @param {Array<Object>} commandIndex - The result of buildCommandIndex.
+ * @param {Object} parameterData - The parameter data (name -> { values }).
+ * @returns {Object} { status: 'empty' | 'unknown' | 'incomplete' | 'ok', keyword, typedKeyword,
+ *   suggestions, entry, parameters, unusedWords, alternatives }.
+ */
+const parseCommandLine = (input, commandIndex, parameterData) => {
+    const tokens = input.trim().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return { status: 'empty' };
+
+    const keywordMatch = matchCommandKeyword(tokens, commandIndex.map(entry => entry.keyword));
+    if (!keywordMatch.keyword) {
+        return { status: 'unknown', typedKeyword: keywordMatch.typed, suggestions: keywordMatch.suggestions };
+    }
+
+    const attempts = commandIndex
+        .filter(entry => entry.keyword === keywordMatch.keyword)
+        .map(entry => {
+            const used = new Set(Array.from({ length: keywordMatch.length }, (_, i) => i));
+            const parameters = (entry.command.allParameterId || [])
+                .map(parameterId => findParameterValue(tokens, parameterId, parameterData, used));
+            const unusedWords = tokens.filter((_, index) => !used.has(index));
+            return {
+                entry,
+                parameters,
+                unusedWords,
+                complete: parameters.every(parameter => parameter.status === 'ok'),
+                matched: parameters.filter(parameter => parameter.status === 'ok').length,
+                problems: parameters.filter(parameter => parameter.status !== 'ok').length
+            };
+        })
+        .sort((a, b) => (b.complete - a.complete) || (b.matched - a.matched)
+            || (a.problems - b.problems) || (a.unusedWords.length - b.unusedWords.length));
+
+    const best = attempts[0];
+    return {
+        status: best.complete ? 'ok' : 'incomplete',
+        keyword: keywordMatch.keyword,
+        typedKeyword: keywordMatch.typed,
+        suggestions: keywordMatch.suggestions,
+        entry: best.entry,
+        parameters: best.parameters,
+        unusedWords: best.unusedWords,
+        alternatives: attempts.slice(1).map(attempt => attempt.entry)
+    };
+};
@@ -0,0 +1,367 @@
+/* ====================================
+    RT Data Validator
+    Description: Checks the RT call, parameter and aircraft category JSON files against the
+    schemas in data/schema, with the line and column of every problem. Runs in the browser
+    (pages show a banner) and in Node (node tools/validate-data.js).
+    ==================================== */
+
+/**
+ * The schema of each kind of data file, relative to the site root.
+ */
+const rtDataSchemaFiles = {
+    legacyCalls: 'data/schema/legacy-rt-call-data.schema.json',
+    airportCalls: 'data/schema/airport-rt-call-data.schema.json',
+    parameters: 'data/schema/parameter-data.schema.json',
+    aircraftCategoryMap: 'data/schema/aircraft-category-map.schema.json'
+};
+
+/**
+ * Lists every data file that has a schema, using the airport manifest for the per-airport files.
+ * @param {Object} manifest - The loaded data/airports.json.
+ * @returns {Array<{path: string, kind: string}>} Root-relative paths with their schema kind.
+ */
+const listDataFiles = (manifest) => {
+    const files = [
+        { path: 'data/rt-call/all-rt-call-data.json', kind: 'legacyCalls' },
+        { path: 'data/rt-call/all-parameter-data.json', kind: 'parameters' },
+        { path: 'data/aircraft-category-map.json', kind: 'aircraftCategoryMap' }
+    ];
+    ((manifest && manifest.airports) || []).forEach(airport => {
+        Object.values(airport.rtCallFiles || {}).forEach(path => files.push({ path, kind: 'airportCalls' }));
+        if (airport.parameterFile) files.push({ path: airport.parameterFile, kind: 'parameters' });
+    });
+    return files;
+};
+
+/**
+ * Builds a readable path to a value, e.g. 'allArrivalCall[3].feedbackCommand'.
+ * @param {string} path - The parent path ('' for the root).
+ * @param {string|number} key - The property name or array index.
+ * @returns {string} The child path.
+ */
+const joinDataPath = (path, key) => {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) return path ? `${path}.${key}` : key;
+    return `${path}[${JSON.stringify(key)}]`;
+};
+
+/**
+ * Parses JSON like JSON.parse, but also records where each value starts.
+ * @param {string} text - The JSON text.
+ * @returns {{value: *, locations: Object}} The value and a map of data path -> { line, column }.
+ * @throws {Error} On invalid JSON, with `line` and `column` set.
+ */
+const parseJsonWithLocations = (text) => {
+    let index = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+    let line = 1;
+    let column = 1;
+    const locations = {};
+
+    const describe = () => index >= text.length ? 'end of file' : `'${text[index]}'`;
+    const fail = (message) => {
+        const error = new Error(`${message} at line ${line}, column ${column}`);
+        error.line = line;
+        error.column = column;
+        throw error;
+    };
+    const advance = (count = 1) => {
+        for (let i = 0; i < count; i++) {
+            if (text[index] === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+            index++;
+        }
+    };
+    const skipWhitespace = () => {
+        while (index < text.length && ' \t\r\n'.includes(text[index])) advance();
+    };
+    const expect = (char) => {
+        if (text[index] !== char) fail(`Expected '${char}' but found ${describe()}`);
+        advance();
+    };
+
+    const parseString = () => {
+        expect('"');
+        let result = '';
+        while (text[index] !== '"') {
+            if (index >= text.length) fail('Unterminated string');
+            const char = text[index];
+            if (char < ' ') fail('Control character in string');
+            if (char === '\\') {
+                const escape = text[index + 1];
+                const simple = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+                if (escape in simple) {
+                    result += simple[escape];
+                    advance(2);
+                } else if (escape === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(index + 2, index + 6))) {
+                    result += String.fromCharCode(parseInt(text.slice(index + 2, index + 6), 16));
+                    advance(6);
+                } else {
+                    advance();
+                    fail('Invalid escape in string');
+                }
+            } else {
+                result += char;
+                advance();
+            }
+        }
+        advance();
+        return result;
+    };
+
+    const parseValue = (path) => {
+        skipWhitespace();
+        locations[path] = { line, column };
+        const char = text[index];
+
+        if (char === '{') {
+            advance();
+            const result = {};
+            skipWhitespace();
+            if (text[index] === '}') {
+                advance();
+                return result;
+            }
+            for (;;) {
+                skipWhitespace();
+                if (text[index] !== '"') fail(`Expected a property name but found ${describe()}`);
+                const key = parseString();
+                skipWhitespace();
+                expect(':');
+                result[key] = parseValue(joinDataPath(path, key));
+                skipWhitespace();
+                if (text[index] === ',') {
+                    advance();
+                } else if (text[index] === '}') {
+                    advance();
+                    return result;
+                } else {
+                    fail(`Expected ',' or '}' but found ${describe()}`);
+                }
+            }
+        }
+
+        if (char === '[') {
+            advance();
+            const result = [];
+            skipWhitespace();
+            if (text[index] === ']') {
+                advance();
+                return result;
+            }
+            for (;;) {
+                result.push(parseValue(joinDataPath(path, result.length)));
+                skipWhitespace();
+                if (text[index] === ',') {
+                    advance();
+                } else if (text[index] === ']') {
+                    advance();
+                    return result;
+                } else {
+                    fail(`Expected ',' or ']' but found ${describe()}`);
+                }
+            }
+        }
+
+        if (char === '"') return parseString();
+
+        const literals = { true: true, false: false, null: null };
+        for (const word in literals) {
+            if (text.startsWith(word, index)) {
+                advance(word.length);
+                return literals[word];
+            }
+        }
+
+        const number = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+        number.lastIndex = index;
+        const match = number.exec(text);
+        if (match) {
+            advance(match[0].length);
+            return Number(match[0]);
+        }
+
+        return fail(`Unexpected ${describe()}`);
+    };
+
+    const value = parseValue('');
+    skipWhitespace();
+    if (index < text.length) fail(`Unexpected ${describe()} after the end of the data`);
+    return { value, locations };
+};
+
+/**
+ * Names the JSON type of a value the way schemas do.
+ * @param {*} value - Any parsed JSON value.
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'.
+ */
+const getJsonType = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+};
+
+/**
+ * Validates a value against a JSON Schema. Supports the keywords the data schemas use:
+ * $ref (to #/definitions), type, enum, minLength, minItems, items, required, properties
+ * and additionalProperties.
+ * @param {*} value - The parsed value.
+ * @param {Object} schema - The schema (or sub-schema) to check against.
+ * @param {Object} locations - Data path -> { line, column }, from parseJsonWithLocations.
+ * @param {Object} [rootSchema] - The schema holding the definitions; defaults to `schema`.
+ * @param {string} [path] - The data path of `value`.
+ * @returns {Array<{path: string, line: number|null, column: number|null, message: string}>} The problems found.
+ */
+const validateAgainstSchema = (value, schema, locations, rootSchema = schema, path = '') => {
+    const errors = [];
+    const report = (errorPath, message) => {
+        const location = locations[errorPath] || locations[path] || {};
+        errors.push({ path: errorPath, line: location.line || null, column: location.column || null, message });
+    };
+
+    if (schema.$ref) {
+        const definition = schema.$ref.replace('#/definitions/', '');
+        return validateAgainstSchema(value, rootSchema.definitions[definition], locations, rootSchema, path);
+    }
+
+    const type = getJsonType(value);
+    if (schema.type) {
+        const allowed = [].concat(schema.type);
+        if (!allowed.includes(type) && !(type === 'integer' && allowed.includes('number'))) {
+            report(path, `must be ${allowed.join(' or ')}, found ${type}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        report(path, `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, found ${JSON.stringify(value)}`);
+    }
+
+    if (type === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        report(path, value.length === 0 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            report(path, `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateAgainstSchema(item, schema.items, locations, rootSchema, joinDataPath(path, index)));
+            });
+        }
+    }
+
+    if (type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) report(path, `is missing "${key}"`);
+        });
+        Object.entries(value).forEach(([key, propertyValue]) => {
+            const propertyPath = joinDataPath(path, key);
+            if (schema.properties && schema.properties[key]) {
+                errors.push(...validateAgainstSchema(propertyValue, schema.properties[key], locations, rootSchema, propertyPath));
+            } else if (schema.additionalProperties === false) {
+                report(propertyPath, `is not an allowed property`);
+            } else if (schema.additionalProperties) {
+                errors.push(...validateAgainstSchema(propertyValue, schema.additionalProperties, locations, rootSchema, propertyPath));
+            }
+        });
+    }
+
+    return errors;
+};
+
+/**
+ * Parses and validates the text of one data file.
+ * @param {string} text - The file contents.
+ * @param {Object} schema - The schema of the file.
+ * @returns {Array<Object>} The problems found; a syntax error is the only problem when the JSON is invalid.
+ */
+const validateDataText = (text, schema) => {
+    let parsed;
+    try {
+        parsed = parseJsonWithLocations(text);
+    } catch (error) {
+        return [{ path: '', line: error.line, column: error.column, message: `Invalid JSON: ${error.message}` }];
+    }
+    return validateAgainstSchema(parsed.value, schema, parsed.locations);
+};
+
+/**
+ * Formats a problem as 'file:line:column path message', the way compilers do.
+ * @param {string} file - The file path.
+ * @param {Object} error - A problem from validateDataText.
+ * @returns {string} The formatted problem.
+ */
+const formatValidationError = (file, error) => {
+    const location = error.line ? `:${error.line}:${error.column}` : '';
+    return `${file}${location} ${error.path || '(root)'} ${error.message}`;
+};
+
+/**
+ * Fetches and validates data files in the browser.
+ * @param {Array<{path: string, kind: string}>} files - Root-relative paths with their schema kind.
+ * @param {string} [rootPath] - Path from the current page to the site root.
+ * @returns {Promise<Array<{path: string, errors: Array<Object>}>>} One result per file.
+ */
+const validateDataFiles = async (files, rootPath = '..') => {
+    const fetchText = async (path) => {
+        const response = await fetch(`${rootPath}/${path}`);
+        if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
+        return response.text();
+    };
+    const schemas = {};
+    const loadSchema = (kind) => {
+        schemas[kind] = schemas[kind] || fetchText(rtDataSchemaFiles[kind]).then(JSON.parse);
+        return schemas[kind];
+    };
+
+    return Promise.all(files.map(async ({ path, kind }) => {
+        try {
+            const [text, schema] = await Promise.all([fetchText(path), loadSchema(kind)]);
+            return { path, errors: validateDataText(text, schema) };
+        } catch (error) {
+            return { path, errors: [{ path: '', line: null, column: null, message: `could not be validated: ${error.message}` }] };
+        }
+    }));
+};
+
+/**
+ * Shows the problems of invalid files in a banner at the top of the page; removes it when all are valid.
+ * @param {Array<{path: string, errors: Array<Object>}>} results - The result of validateDataFiles.
+ */
+const showValidationBanner = (results) => {
+    document.querySelectorAll('.data-validation-banner').forEach(banner => banner.remove());
+    const problems = results.flatMap(result => result.errors.map(error => formatValidationError(result.path, error)));
+    if (problems.length === 0) return;
+
+    const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const fileCount = results.filter(result => result.errors.length > 0).length;
+    const banner = document.createElement('div');
+    banner.classList.add('data-validation-banner');
+    banner.innerHTML = `
+        <details>
+            <summary><i class="fa-solid fa-triangle-exclamation"></i> ${problems.length} data problem${problems.length === 1 ? '' : 's'} in ${fileCount} file${fileCount === 1 ? '' : 's'}. Some calls may show incorrectly.</summary>
+            <ul>${problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}</ul>
+        </details>
+        <button class="data-validation-close" title="Dismiss"><i class="fa-solid fa-xmark"></i></button>
+    `;
+    banner.querySelector('.data-validation-close').addEventListener('click', () => banner.remove());
+    document.body.prepend(banner);
+};
+
+// Node: used by tools/validate-data.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        rtDataSchemaFiles,
+        listDataFiles,
+        parseJsonWithLocations,
+        validateAgainstSchema,
+        validateDataText,
+        formatValidationError
+    };
+}
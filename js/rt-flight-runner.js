@@ -0,0 +1,145 @@
+/* ====================================
+    RT Flight Runner
+    Description: Steps one callsign through an ordered list of call sessions the way the simulator
+    moves an aircraft through its phases. Each session is a phase with up to two steps: the
+    initial call (initialCommand) and the ATC call with its feedback (feedbackCommand).
+    The command flags decide how a step runs:
+      - playOnAwake: the step plays by itself as soon as it is reached.
+      - requiredToInitiate: the step must be issued before the phase can go on; it cannot be skipped.
+      - requiredToComplete: the step must be issued before the phase is complete. It can be put off
+        while the rest of the phase runs, but the phase comes back to it and then waits for it.
+    A step with neither required flag can be skipped. This is the reference behaviour for the Unity
+    build and has no DOM dependency.
+    ==================================== */
+
+/**
+ * Puts the callsign into the `{Call Sign}` slots of a call, leaving every other slot as written.
+ * @param {string} text - The call text.
+ * @param {string} callsign - The callsign, e.g. 'EK584'.
+ * @returns {string} The call text for this flight.
+ */
+const applyRunnerCallsign = (text, callsign) => {
+    return text.replace(/{([^{}]*)}/g, (match, slot) => slot.replace(/[^a-zA-Z]/g, '').toLowerCase() === 'callsign' ? callsign : match);
+};
+
+/**
+ * Builds the phases of a flight from its sessions. Steps without any call line are left out.
+ * @param {Array<Object>} sessions - Call sessions in flight order.
+ * @returns {Array<Object>} Phases of { session, status, steps: [{ role, command, lines, status }] }.
+ */
+const buildRunnerPhases = (sessions) => {
+    return sessions.map(session => ({
+        session,
+        status: 'pending',
+        steps: [
+            { role: 'initial', command: session.initialCommand, lines: [{ speaker: 'Pilot', text: session.initialCall }] },
+            { role: 'feedback', command: session.feedbackCommand, lines: [{ speaker: 'ATC', text: session.atcCall }, { speaker: 'Pilot', text: session.feedbackCall }] }
+        ]
+            .map(step => ({ ...step, command: step.command || {}, lines: step.lines.filter(line => line.text), status: 'pending' }))
+            .filter(step => step.lines.length > 0)
+    }));
+};
+
+/**
+ * Creates a runner for one flight.
+ * @param {Object} options
+ * @param {string} options.callsign - The callsign flying the sessions.
+ * @param {Array<Object>} options.sessions - Call sessions in flight order.
+ * @param {function(Object): void} [options.onChange] - Called with the state after every change.
+ * @returns {Object} { start(), issue(), skip(), getState() }.
+ */
+const createFlightRunner = ({ callsign, sessions, onChange = () => {} }) => {
+    const phases = buildRunnerPhases(sessions);
+    const timeline = [];
+    let phaseIndex = -1;
+    let status = 'idle';
+
+    const getState = () => {
+        const phase = phases[phaseIndex];
+        const step = phase && phase.steps.find(candidate => candidate.current);
+        let waiting = null;
+        if (status === 'waiting' && step) {
+            const deferred = step.status === 'deferred';
+            waiting = {
+                phaseIndex,
+                step,
+                canSkip: !step.command.requiredToInitiate && !deferred,
+                reason: step.command.requiredToInitiate ? 'required to initiate'
+                    : deferred ? 'required to complete the phase'
+                    : step.command.requiredToComplete ? 'required to complete, can be put off'
+                    : 'optional'
+            };
+        }
+        return { callsign, status, phaseIndex, phases, timeline, waiting };
+    };
+
+    const record = (step, trigger) => {
+        step.lines.forEach(line => timeline.push({
+            phaseIndex,
+            title: phases[phaseIndex].session.title,
+            role: step.role,
+            speaker: line.speaker,
+            text: applyRunnerCallsign(line.text, callsign),
+            trigger
+        }));
+        step.status = 'issued';
+    };
+
+    // Moves to the next step that needs attention, playing awake steps on the way.
+    const advance = () => {
+        while (phaseIndex < phases.length) {
+            const phase = phases[phaseIndex];
+            if (phase) {
+                phase.steps.forEach(step => { step.current = false; });
+                const step = phase.steps.find(candidate => candidate.status === 'pending')
+                    || phase.steps.find(candidate => candidate.status === 'deferred');
+                if (step) {
+                    step.current = true;
+                    if (step.status === 'pending' && step.command.playOnAwake) {
+                        record(step, 'awake');
+                        continue;
+                    }
+                    status = 'waiting';
+                    return;
+                }
+                phase.status = 'completed';
+            }
+
+            phaseIndex++;
+            if (phases[phaseIndex]) phases[phaseIndex].status = 'active';
+        }
+        status = 'finished';
+    };
+
+    const update = (change) => {
+        change();
+        advance();
+        onChange(getState());
+    };
+
+    return {
+        start: () => update(() => {
+            phaseIndex = -1;
+            timeline.length = 0;
+            phases.forEach(phase => {
+                phase.status = 'pending';
+                phase.steps.forEach(step => { step.status = 'pending'; step.current = false; });
+            });
+        }),
+        // Issues the step the flight is waiting for.
+        issue: () => {
+            const { waiting } = getState();
+            if (!waiting) return false;
+            update(() => record(waiting.step, 'issued'));
+            return true;
+        },
+        // Skips an optional step, or puts off a step that is only required to complete.
+        skip: () => {
+            const { waiting } = getState();
+            if (!waiting || !waiting.canSkip) return false;
+            update(() => { waiting.step.status = waiting.step.command.requiredToComplete ? 'deferred' : 'skipped'; });
+            return true;
+        },
+        getState
+    };
+};
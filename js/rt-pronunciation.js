@@ -0,0 +1,146 @@
+/* ====================================
+    RT Pronunciation
+    Description: Turns call text into what a pilot or controller actually says on frequency:
+    ICAO phonetic letters, digit-by-digit numbers with 'tree', 'fife' and 'niner', grouped
+    altitudes, flight levels, QNH, squawk codes, headings, runways, SID/STAR names and
+    frequencies with 'decimal'. Used for the spoken form on both RT call pages, their print
+    output and the speech player (rt-call-speech.js).
+    ==================================== */
+
+const icaoLetterWords = {
+    A: 'Alfa', B: 'Bravo', C: 'Charlie', D: 'Delta', E: 'Echo', F: 'Foxtrot', G: 'Golf',
+    H: 'Hotel', I: 'India', J: 'Juliett', K: 'Kilo', L: 'Lima', M: 'Mike', N: 'November',
+    O: 'Oscar', P: 'Papa', Q: 'Quebec', R: 'Romeo', S: 'Sierra', T: 'Tango', U: 'Uniform',
+    V: 'Victor', W: 'Whiskey', X: 'X-ray', Y: 'Yankee', Z: 'Zulu'
+};
+
+const icaoDigitWords = ['zero', 'one', 'two', 'tree', 'four', 'fife', 'six', 'seven', 'eight', 'niner'];
+
+// Abbreviations in the call data that are spoken as words.
+const spokenAbbreviations = {
+    TWR: 'Tower', GND: 'Ground', GRD: 'Ground', DHK: 'Dhaka', JSR: 'Jessore', FT: 'feet'
+};
+
+// Runway designator letters.
+const runwaySideWords = { L: 'left', R: 'right', C: 'centre' };
+
+// Words after which a lone letter is a taxiway, stand or approach designator ('via S', 'holding point C').
+// Anywhere else a capital such as 'I' or 'A' is just a word.
+const designatorContextWords = ['via', 'taxiway', 'point', 'stand', 'approaching', 'vor', 'ils', 'rnp'];
+
+/**
+ * Builds the callsign -> telephony name lookup from the aircraft data ('EMIRATES 584 || Emirates').
+ * @param {Array<Object>|null} aircraftData - The parsed all-aircraft-data.json.
+ * @returns {Object} The lookup, e.g. { EK584: 'EMIRATES 584' }.
+ */
+const buildCallsignTelephonyNames = (aircraftData) => {
+    return Object.fromEntries((aircraftData || [])
+        .filter(aircraft => aircraft.callSign && aircraft.fullName)
+        .map(aircraft => [aircraft.callSign.toUpperCase(), aircraft.fullName.split('||')[0].trim()]));
+};
+
+/**
+ * Speaks a number digit by digit, e.g. '1013' -> 'one zero one tree'.
+ * @param {string} digits - The digits, optionally with one decimal point.
+ * @returns {string} The spoken digits.
+ */
+const speakDigits = (digits) => {
+    return digits.split('').map(char => char === '.' ? 'decimal' : icaoDigitWords[Number(char)]).join(' ');
+};
+
+/**
+ * Speaks an altitude in feet the radiotelephony way: whole thousands and hundreds are
+ * grouped ('tree thousand', 'one thousand fife hundred'), anything else is digit by digit.
+ * @param {string} feet - The altitude digits.
+ * @returns {string} The spoken altitude, without the unit.
+ */
+const speakAltitude = (feet) => {
+    const value = Number(feet);
+    if (value % 100 !== 0 || value === 0) return speakDigits(feet);
+
+    const thousands = Math.floor(value / 1000);
+    const hundreds = (value % 1000) / 100;
+    const parts = [];
+    if (thousands > 0) parts.push(`${speakDigits(String(thousands))} thousand`);
+    if (hundreds > 0) parts.push(`${icaoDigitWords[hundreds]} hundred`);
+    return parts.join(' ');
+};
+
+/**
+ * Expands call text to radiotelephony pronunciation: callsigns become their telephony
+ * names, the items with a fixed spoken form (flight levels, runways, headings, QNH, squawk,
+ * frequencies, altitudes) are expanded, other numbers are read digit by digit and
+ * letter/number designators (taxiways, 'N2', a letter after 'via', the '1A' of a SID) use
+ * the phonetic alphabet.
+ * @param {string} text - The call text; `{variable}` braces are dropped.
+ * @param {Object} [callsignNames] - Callsign -> telephony name, see buildCallsignTelephonyNames.
+ * @returns {string} The text as spoken.
+ */
+const toSpokenRadiotelephony = (text, callsignNames = {}) => {
+    let spoken = text.replace(/[{}]/g, '');
+
+    // Callsigns first, so their numbers are expanded like any other
+    spoken = spoken.replace(/\b[A-Z0-9]{3,}\b/g, word => callsignNames[word] || word);
+
+    spoken = spoken
+        // 'FL120', 'flight level 80'
+        .replace(/\b(?:FL|flight level)\s*(\d{2,3})\b/gi, (match, level) => `flight level ${speakDigits(level)}`)
+        // 'RWY-14', 'Rwy 16', 'runway 14R'
+        .replace(/\b(?:runway|rwy)[\s-]*(\d{2})([LRC])?\b/gi, (match, number, side) => `runway ${speakDigits(number)}${side ? ` ${runwaySideWords[side.toUpperCase()]}` : ''}`)
+        // Headings always have three digits: 'heading 90' -> 'heading zero niner zero'
+        .replace(/\b(?:heading|hdg)\s*(\d{1,3})\b/gi, (match, heading) => `heading ${speakDigits(heading.padStart(3, '0'))}`)
+        // Inches are read without the point: 'QNH 29.85' -> 'QNH two niner eight fife'
+        .replace(/\b(QNH|QFE)\s*(\d{3,4}|\d{2}\.\d{2})\b/gi, (match, setting, pressure) => `${setting.toUpperCase()} ${speakDigits(pressure.replace('.', ''))}`)
+        .replace(/\bsquawk\s*(\d{4})\b/gi, (match, code) => `squawk ${speakDigits(code)}`)
+        // VHF frequencies: '121.8' -> 'one two one decimal eight'
+        .replace(/\b(1[1-3]\d\.\d{1,3})\b/g, (match, frequency) => speakDigits(frequency))
+        // Altitudes: '3000ft', '4000 feet'
+        .replace(/\b(\d+)\s*(ft|feet)\b/gi, (match, feet) => `${speakAltitude(feet)} feet`);
+
+    let previousWord = '';
+    return spoken.split(/(\s+|,)/).map(token => {
+        if (/^(\s*|,)$/.test(token)) return token;
+        const afterWord = previousWord;
+        previousWord = token.toLowerCase();
+
+        const abbreviation = spokenAbbreviations[token.toUpperCase()];
+        if (abbreviation && token === token.toUpperCase()) return abbreviation;
+
+        // Other pure numbers (stand numbers, radials, times)
+        if (/^\d+(\.\d+)?$/.test(token)) return speakDigits(token);
+
+        // Designators such as 'C-N-N2', 'S1' and 'B-1', or letters after 'via', 'holding point', ...
+        // A taxi route is read as one run of names: 'Charlie November November two'
+        if (/^[A-Z]{1,2}\d*(-([A-Z]{1,2}\d*|\d+))*$/.test(token) && (/[\d-]/.test(token) || designatorContextWords.includes(afterWord))) {
+            return token.split('-').map(part => {
+                const letters = part.replace(/\d/g, '').split('').map(letter => icaoLetterWords[letter]);
+                const digits = part.replace(/\D/g, '');
+                return [...letters, digits ? speakDigits(digits) : ''].filter(Boolean).join(' ');
+            }).join(' ');
+        }
+
+        // SID and STAR names: 'IDLOX-1A' -> 'IDLOX one Alfa'
+        const procedure = token.match(/^([A-Z]{3,})-?(\d)([A-Z])$/);
+        if (procedure) return `${procedure[1]} ${speakDigits(procedure[2])} ${icaoLetterWords[procedure[3]]}`;
+
+        // Mixed words such as 'VDI-14' or '20DME': keep the letters, expand the digits
+        if (!/\d/.test(token)) return token;
+        return token.replace(/-/g, ' ').replace(/\d+/g, digits => ` ${speakDigits(digits)} `).replace(/\s+/g, ' ').trim();
+    }).join('');
+};
+
+/**
+ * Expands call text like toSpokenRadiotelephony but keeps its `{variable}` slots: the text
+ * outside and inside each slot is converted separately, so the slots can still be styled.
+ * @param {string} text - The call text with `{slots}`.
+ * @param {Object} [callsignNames] - Callsign -> telephony name.
+ * @returns {string} The spoken call text with its braces.
+ */
+const toSpokenCallText = (text, callsignNames = {}) => {
+    return text.split(/({[^{}]*})/).map(part => {
+        if (!part) return part;
+        return part.startsWith('{')
+            ? `{${toSpokenRadiotelephony(part.slice(1, -1), callsignNames)}}`
+            : toSpokenRadiotelephony(part, callsignNames);
+    }).join('');
+};
@@ -0,0 +1,164 @@
+/* ====================================
+    RT Readback Checker
+    Description: Checks that each pilot readback repeats the safety-critical items of the ATC
+    line before it (QNH, altitude, taxi route, squawk, runway, pushback direction). Items are
+    found by pattern; a slot naming a parameter ('{Departure Taxiway}') counts as "any value" of
+    that item. Works on the per-airport call data and has no DOM dependency.
+    ==================================== */
+
+/**
+ * The items a readback must repeat. `pattern` finds a value in plain text, `parameter` maps a
+ * parameter name of the parameter data to the item, and `key` makes values comparable.
+ */
+const readbackItemKinds = [
+    { kind: 'QNH', parameter: /qnh/i, pattern: /\bQNH\s*(\d+(?:\.\d+)?)/gi, key: (match) => match[1] },
+    { kind: 'Altitude', parameter: /altitude|level/i, pattern: /\b(?:(\d{3,5})\s*(?:ft|feet)|FL\s*(\d{2,3}))\b/gi, key: (match) => match[1] ? `${match[1]}ft` : `FL${match[2]}` },
+    { kind: 'Taxi Route', parameter: /taxiway|route/i, pattern: /\bvia\s+([A-Z0-9]+(?:-[A-Z0-9]+)*)/gi, key: (match) => match[1].toUpperCase() },
+    { kind: 'Squawk', parameter: /squawk/i, pattern: /\bsquawk\s*(\d{4})\b/gi, key: (match) => match[1] },
+    { kind: 'Runway', parameter: /^runway$/i, pattern: /\b(?:runway|rwy)[\s-]*(\d{2}[LRC]?)\b/gi, key: (match) => match[1].toUpperCase() },
+    { kind: 'Pushback', parameter: /pushback/i, pattern: /\bface\s+(north|south|east|west)\b/gi, key: (match) => match[1].toLowerCase() }
+];
+
+/**
+ * Finds the readback items written out in plain text.
+ * @param {string} text - Text without braces.
+ * @returns {Array<{kind: string, key: string, text: string}>} The items in order of appearance.
+ */
+const findReadbackItemsInText = (text) => {
+    return readbackItemKinds
+        .flatMap(itemKind => [...text.matchAll(itemKind.pattern)].map(match => ({
+            kind: itemKind.kind,
+            key: itemKind.key(match),
+            text: match[0],
+            index: match.index
+        })))
+        .sort((a, b) => a.index - b.index)
+        .map(({ kind, key, text: itemText }) => ({ kind, key, text: itemText }));
+};
+
+/**
+ * Extracts the readback items of one call line. A list slot ('{ Descending 4000ft / Descending 3000ft }')
+ * gives one item per kind that accepts any of its values; a slot naming a parameter gives an item
+ * that accepts any value (`keys` is null).
+ * @param {string} message - The call text with `{slots}`.
+ * @param {Object} parameterData - The airport's parameter data, for parameter names.
+ * @returns {Array<{kind: string, keys: Array<string>|null, text: string}>} The items.
+ */
+const extractReadbackItems = (message, parameterData = {}) => {
+    const items = [];
+    const plainText = (message || '').replace(/{([^{}]*)}/g, (match, slot) => {
+        const alternatives = slot.includes('/') ? slot.split('/').map(option => option.trim()).filter(Boolean) : [slot.trim()];
+
+        if (alternatives.length > 1) {
+            const keysByKind = {};
+            alternatives.forEach(option => findReadbackItemsInText(option).forEach(item => {
+                (keysByKind[item.kind] = keysByKind[item.kind] || new Set()).add(item.key);
+            }));
+            Object.entries(keysByKind).forEach(([kind, keys]) => items.push({ kind, keys: [...keys], text: match }));
+            return ' ; ';
+        }
+
+        const parameterName = Object.keys(parameterData)
+            .find(name => name.replace(/[^a-zA-Z0-9]/g, '').toLowerCase() === slot.replace(/[^a-zA-Z0-9]/g, '').toLowerCase());
+        const itemKind = parameterName && readbackItemKinds.find(candidate => candidate.parameter.test(parameterName));
+        if (itemKind) {
+            items.push({ kind: itemKind.kind, keys: null, text: match });
+            return ' ; ';
+        }
+
+        return slot;
+    });
+
+    findReadbackItemsInText(plainText).forEach(item => items.push({ kind: item.kind, keys: [item.key], text: item.text }));
+    return items;
+};
+
+/**
+ * Compares the items of an ATC line with those of its readback.
+ * @param {Array<Object>} atcItems - Items of the ATC line.
+ * @param {Array<Object>} readbackItems - Items of the readback, or null when there is no readback line.
+ * @returns {Array<{status: 'missing' | 'mismatch' | 'extra', kind: string, expected: string|null, found: string|null}>}
+ */
+const compareReadbackItems = (atcItems, readbackItems) => {
+    const findings = [];
+    const unmatched = [...(readbackItems || [])];
+    const accepts = (a, b) => !a.keys || !b.keys || a.keys.some(key => b.keys.includes(key));
+
+    atcItems.forEach(atcItem => {
+        const sameKind = unmatched.filter(item => item.kind === atcItem.kind);
+        if (sameKind.length === 0) {
+            findings.push({ status: 'missing', kind: atcItem.kind, expected: atcItem.text, found: null });
+            return;
+        }
+
+        const match = sameKind.find(item => accepts(atcItem, item));
+        unmatched.splice(unmatched.indexOf(match || sameKind[0]), 1);
+        if (!match) {
+            findings.push({ status: 'mismatch', kind: atcItem.kind, expected: atcItem.text, found: sameKind[0].text });
+        }
+    });
+
+    unmatched.forEach(item => findings.push({ status: 'extra', kind: item.kind, expected: null, found: item.text }));
+    return findings;
+};
+
+/**
+ * Checks every ATC line of an airport's conversations against the pilot line that follows it.
+ * @param {Array<Object>} conversations - Call data items ({ phase, category, type, calls: [{ speaker, message }] }).
+ * @param {Object} parameterData - The airport's parameter data.
+ * @returns {{checkedLines: number, findings: Array<Object>}} Findings carry phase, category, type,
+ *   the ATC speaker, atc and readback (the two lines) besides status, kind, expected and found.
+ */
+const checkReadbacks = (conversations, parameterData) => {
+    let checkedLines = 0;
+    const findings = [];
+
+    conversations.forEach(conversation => {
+        (conversation.calls || []).forEach((call, index) => {
+            if (call.speaker === 'Pilot') return;
+            const atcItems = extractReadbackItems(call.message, parameterData);
+            if (atcItems.length === 0) return;
+
+            checkedLines++;
+            const next = conversation.calls[index + 1];
+            const readback = next && next.speaker === 'Pilot' ? next.message : null;
+            const readbackItems = readback === null ? null : extractReadbackItems(readback, parameterData);
+
+            compareReadbackItems(atcItems, readbackItems).forEach(finding => findings.push({
+                phase: conversation.phase,
+                category: conversation.category,
+                type: conversation.type,
+                speaker: call.speaker,
+                atc: call.message,
+                readback,
+                ...finding
+            }));
+        });
+    });
+
+    return { checkedLines, findings };
+};
+
+/**
+ * Builds the CSV export of a readback report.
+ * @param {Object} report - The result of checkReadbacks.
+ * @param {string} airportCode - The airport the report is for.
+ * @returns {string} The CSV text, with a comment line naming the airport.
+ */
+const buildReadbackReportCsv = (report, airportCode) => {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = ['status', 'item', 'expected', 'found', 'type', 'phase', 'category', 'atcCall', 'readback'];
+    const lines = report.findings.map(finding => [
+        finding.status, finding.kind, finding.expected, finding.found,
+        finding.type, finding.phase, finding.category, finding.atc, finding.readback
+    ].map(escape).join(','));
+
+    return [
+        `# ${airportCode.toUpperCase()} readback check: ${report.checkedLines} ATC lines checked, ${report.findings.length} findings`,
+        header.join(','),
+        ...lines
+    ].join('\n');
+};
@@ -0,0 +1,403 @@
+/* ====================================
+    RT Scenario Generator
+    Description: Turns call templates into fully resolved conversations for one airport and
+    callsign. Values come from the parameter `values` lists, the airport's station names and
+    all-aircraft-data.json. A seed makes every pick repeatable, so an exercise can be regenerated.
+    ==================================== */
+
+/**
+ * Creates a repeatable random number generator from any seed string (FNV-1a hash + mulberry32).
+ * @param {string} seed - The seed, e.g. 'exam-3'.
+ * @returns {function(): number} A function returning numbers in [0, 1).
+ */
+const createSeededRandom = (seed) => {
+    let state = 2166136261;
+    for (const char of String(seed)) {
+        state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+    }
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Makes a short random seed for the "new exercise" button.
+ * @returns {string} A seed such as 'k3v9q2'.
+ */
+const createScenarioSeed = () => Math.random().toString(36).slice(2, 8);
+
+/**
+ * Lowercases and strips everything but letters and digits, for loose name matching.
+ * @param {string} text - The text to normalize.
+ * @returns {string} The normalized text.
+ */
+const normalizeScenarioKey = (text) => String(text).replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+
+/**
+ * Splits a slot into its alternatives: '{ A / B }' and '{C-N-N2,F-N-N2}' list choices.
+ * @param {string} slot - The slot text without braces.
+ * @returns {Array<string>} The alternatives; a single entry when the slot is not a list.
+ */
+const getSlotAlternatives = (slot) => {
+    const separator = slot.includes('/') ? '/' : ',';
+    return slot.split(separator).map(option => option.trim()).filter(Boolean);
+};
+
+/**
+ * Finds the parameter a slot belongs to, by name or by one of its values, ignoring 'N/A' values.
+ * @param {string} slot - The slot text without braces.
+ * @param {Object} parameters - The airport's parameter data.
+ * @returns {{name: string, values: Array<string>}|null} The parameter with its usable values, or null.
+ */
+const findSlotParameter = (slot, parameters) => {
+    const key = normalizeScenarioKey(slot);
+    for (const name in parameters) {
+        const values = (parameters[name].values || []).filter(value => value !== 'N/A');
+        if (values.length === 0) continue;
+        if (normalizeScenarioKey(name) === key || values.some(value => normalizeScenarioKey(value) === key)) {
+            return { name, values };
+        }
+    }
+    return null;
+};
+
+/**
+ * Checks whether two words are forms of the same word ('descend' / 'Descending'), the same
+ * loose rule the command parser uses: equal, or sharing at least four leading letters.
+ * @param {string} word - The word as written.
+ * @param {string} fixedWord - The normalized word to compare with.
+ * @returns {boolean} True when they match.
+ */
+const isScenarioWordForm = (word, fixedWord) => {
+    const typed = normalizeScenarioKey(word);
+    if (typed === fixedWord) return true;
+    const common = Math.min(typed.length, fixedWord.length);
+    return common >= 4 && typed.slice(0, common) === fixedWord.slice(0, common);
+};
+
+/**
+ * Makes a value pool: a set of values written the same way, where some words are the same in
+ * every value ('taxi via', 'Descending') and the others are the value itself ('S1', '4000ft').
+ * @param {string|null} name - The parameter name; null for a list in the calls, which is named
+ *   by its wording with the options in place ('Taxi via S1/S2/S3').
+ * @param {Array<string>} values - The values.
+ * @param {boolean} isParameter - True for a parameter; lists can grow when merged with another list.
+ * @returns {Object|null} { name, values, isParameter, phrasing } where phrasing holds each fixed
+ *   word (normalized) and null for the value words, or null when the values are not written alike.
+ *   A list pool whose values are those of an earlier pool in other words gets that pool as `root`.
+ */
+const createValuePool = (name, values, isParameter) => {
+    const valueWords = values.map(value => value.split(/\s+/).filter(Boolean));
+    if (values.length < 2 || valueWords.some(words => words.length !== valueWords[0].length)) return null;
+
+    const phrasing = valueWords[0].map((word, index) => {
+        const fixedWord = normalizeScenarioKey(word);
+        return valueWords.every(words => normalizeScenarioKey(words[index]) === fixedWord) ? fixedWord : null;
+    });
+    if (!phrasing.includes(null)) return null;
+
+    const listName = valueWords[0].map((word, index) => phrasing[index] === null ? valueWords.map(words => words[index]).join('/') : word).join(' ');
+    return { name: name || listName, values: [...values], isParameter, phrasing };
+};
+
+/**
+ * Picks the value words out of a phrase written in a pool's wording: 'taxi via C-N-N2' -> ['C-N-N2'].
+ * @param {string} phrase - A phrase that fits the pool.
+ * @param {Object} pool - A value pool.
+ * @returns {Array<string>} The value words as written.
+ */
+const getPoolValueWords = (phrase, pool) => {
+    return phrase.split(/\s+/).filter(Boolean).filter((word, index) => pool.phrasing[index] === null);
+};
+
+/**
+ * Reads a phrase the way a pool writes its values. Example values ('descend 3000ft') fit a pool
+ * of 'Descending 4000ft', 'Descending 2000ft', ... when the fixed words match loosely and the value
+ * words have the same shape (with or without digits). A pool without fixed words only fits its own values.
+ * @param {string} phrase - The slot text or one list option.
+ * @param {Object} pool - A value pool.
+ * @returns {string|null} The value words of the phrase (normalized), or null when it does not fit.
+ */
+const readPoolValue = (phrase, pool) => {
+    const words = phrase.split(/\s+/).filter(Boolean);
+    const sample = pool.values[0].split(/\s+/);
+    const key = getPoolValueWords(phrase, pool).map(normalizeScenarioKey).join(' ');
+
+    if (!pool.phrasing.some(word => word !== null)) {
+        return pool.values.some(value => normalizeScenarioKey(value) === normalizeScenarioKey(phrase)) ? key : null;
+    }
+    if (words.length !== pool.phrasing.length) return null;
+    const fits = pool.phrasing.every((fixedWord, index) => fixedWord === null
+        ? /\d/.test(words[index]) === /\d/.test(sample[index])
+        : isScenarioWordForm(words[index], fixedWord));
+    return fits ? key : null;
+};
+
+/**
+ * Writes value words in the wording of a phrase: 'descend 3000ft' with ['2000ft'] becomes 'descend 2000ft'.
+ * @param {string} phrase - The slot text or list option giving the wording.
+ * @param {Object} pool - The pool the phrase fits.
+ * @param {Array<string>} valueWords - The value words, see getPoolValueWords.
+ * @returns {string} The value in the phrase's wording.
+ */
+const writePoolValue = (phrase, pool, valueWords) => {
+    let next = 0;
+    return phrase.split(/\s+/).filter(Boolean)
+        .map((word, index) => pool.phrasing[index] === null ? valueWords[next++] : word)
+        .join(' ');
+};
+
+/**
+ * Finds an earlier pool holding the same values in other words: the list '{C-N-N2,F-N-N2}'
+ * and '{taxi via C-N-N2 / taxi via F-N-N2}' share their values once 'taxi via' is left out.
+ * One wording must hold all fixed words of the other, so 'runway vacated via S1' and
+ * 'taxi via S1' stay apart.
+ * @param {Object} listPool - The new list pool.
+ * @param {Array<Object>} pools - The pools built so far.
+ * @returns {Object|undefined} The pool whose value is used for the list, if any.
+ */
+const findRootPool = (listPool, pools) => {
+    const countValueWords = (pool) => pool.phrasing.filter(word => word === null).length;
+    const getFixedWords = (pool) => pool.phrasing.filter(word => word !== null);
+    const holdsFixedWords = (pool, other) => getFixedWords(other).every(word => getFixedWords(pool).includes(word));
+    const listKeys = listPool.values.map(value => readPoolValue(value, listPool));
+    const root = pools.find(pool => countValueWords(pool) === countValueWords(listPool)
+        && (holdsFixedWords(pool, listPool) || holdsFixedWords(listPool, pool))
+        && pool.values.some(value => listKeys.includes(readPoolValue(value, pool))));
+    return root && (root.root || root);
+};
+
+/**
+ * Finds the pool that best fits every option of a slot: the one holding the most of the
+ * written values, parameters before lists.
+ * @param {Array<string>} alternatives - The slot's options (a single entry for a plain slot).
+ * @param {Array<Object>} pools - The value pools.
+ * @returns {Object|null} The pool, or null when none fits.
+ */
+const findSlotPool = (alternatives, pools) => {
+    let best = null;
+    let bestCount = -1;
+    pools.forEach(pool => {
+        const keys = alternatives.map(option => readPoolValue(option, pool));
+        if (keys.includes(null)) return;
+        const poolKeys = pool.values.map(value => readPoolValue(value, pool));
+        const count = keys.filter(key => poolKeys.includes(key)).length;
+        if (count > bestCount) {
+            best = pool;
+            bestCount = count;
+        }
+    });
+    return best;
+};
+
+/**
+ * Builds the value pools example slots are matched against: every parameter with usable values,
+ * then the lists written in the calls ('{ Descending 4000ft / Descending 3000ft }'), which stand in
+ * for parameters whose values are not filled in yet. A list that shares values with an earlier
+ * pool of the same wording joins it instead of becoming a pool of its own; a list holding the
+ * same values in other words takes its value from that pool (see findRootPool).
+ * @param {Object} parameters - The airport's parameter data.
+ * @param {Array<Object>} calls - Call data items.
+ * @returns {Array<Object>} The pools, see createValuePool.
+ */
+const buildValuePools = (parameters, calls) => {
+    // Lists grow by the options they are missing; parameter values stay as given
+    const addPoolValues = (pool, allValueWords) => {
+        if (pool.isParameter) return;
+        const poolKeys = pool.values.map(value => readPoolValue(value, pool));
+        allValueWords
+            .filter(valueWords => !poolKeys.includes(valueWords.map(normalizeScenarioKey).join(' ')))
+            .forEach(valueWords => pool.values.push(writePoolValue(pool.values[0], pool, valueWords)));
+    };
+
+    const pools = Object.entries(parameters)
+        .map(([name, parameter]) => createValuePool(name, (parameter.values || []).filter(value => value !== 'N/A'), true))
+        .filter(Boolean);
+
+    calls.flatMap(item => item.calls)
+        .flatMap(call => (call.message || '').match(/{[^{}]*}/g) || [])
+        .map(slot => getSlotAlternatives(slot.slice(1, -1)))
+        .filter(alternatives => alternatives.length > 1)
+        .forEach(alternatives => {
+            const pool = findSlotPool(alternatives, pools);
+            const poolKeys = pool ? pool.values.map(value => readPoolValue(value, pool)) : [];
+            if (!pool || !alternatives.some(option => poolKeys.includes(readPoolValue(option, pool)))) {
+                const listPool = createValuePool(null, alternatives, false);
+                if (!listPool) return;
+                listPool.root = findRootPool(listPool, pools);
+                if (listPool.root) addPoolValues(listPool.root, alternatives.map(option => getPoolValueWords(option, listPool)));
+                pools.push(listPool);
+                return;
+            }
+            addPoolValues(pool, alternatives.map(option => getPoolValueWords(option, pool)));
+        });
+    return pools;
+};
+
+/**
+ * Finds the aircraft entry of a callsign.
+ * @param {Array<Object>} aircraftData - The parsed all-aircraft-data.json.
+ * @param {string} callsign - The callsign, e.g. 'EK584'.
+ * @returns {Object|null} The aircraft or null.
+ */
+const findScenarioAircraft = (aircraftData, callsign) => {
+    return (aircraftData || []).find(aircraft => aircraft.callSign === callsign) || null;
+};
+
+/**
+ * Generates a scenario: every conversation of the given type that applies to the callsign,
+ * with each `{slot}` replaced by a concrete value.
+ *
+ * Consistency rules:
+ *   - A parameter (e.g. QNH) gets one value for the whole scenario.
+ *   - Example values ('{descend 3000ft}') and lists ('{ Descending 4000ft / Descending 3000ft }')
+ *     are matched to a value pool by their wording (see buildValuePools), and each pool also gets
+ *     one value for the whole scenario. The value is written in the wording of each slot, so
+ *     'descend 2000ft' is read back as 'Descending 2000ft'.
+ *   - A list that fits no pool gets one pick per conversation.
+ *
+ * @param {Object} options
+ * @param {Object} options.airport - The manifest entry (code, stations).
+ * @param {string} options.callsign - The callsign to generate for.
+ * @param {Array<Object>} options.calls - Call data items ({ phase, category, type, calls, callsigns }).
+ * @param {Object} options.parameters - The airport's parameter data.
+ * @param {Array<Object>} options.aircraftData - The parsed all-aircraft-data.json.
+ * @param {string} options.seed - The seed for every random pick.
+ * @param {string} [options.type] - Only conversations of this type ('arrival', ...); all when omitted.
+ * @returns {Object} { seed, airport, callsign, type, aircraft, values, conversations, unresolved }.
+ */
+const generateScenario = ({ airport, callsign, calls, parameters, aircraftData, seed, type }) => {
+    const random = createSeededRandom(`${airport.code}|${callsign}|${type || 'all'}|${seed}`);
+    const pick = (options) => options[Math.floor(random() * options.length)];
+
+    const aircraft = findScenarioAircraft(aircraftData, callsign) || {};
+    const aircraftFields = {
+        sid: aircraft.SID,
+        origin: aircraft.origin,
+        destination: aircraft.destination
+    };
+    const stations = airport.stations || {};
+    const stationFields = { grd: stations.GRD, gnd: stations.GND || stations.GRD, twr: stations.TWR };
+
+    const values = {};
+    const unresolved = new Set();
+    const pools = buildValuePools(parameters, calls);
+
+    const conversations = calls
+        .filter(item => !type || item.type === type)
+        .filter(item => !item.callsigns || item.callsigns.length === 0 || item.callsigns.includes(callsign))
+        .map(item => {
+            const listPicks = {};
+
+            const resolveSlot = (slot) => {
+                const key = normalizeScenarioKey(slot);
+                if (key === 'callsign') return callsign;
+                if (stationFields[key]) return stationFields[key];
+                if (key in aircraftFields) {
+                    if (aircraftFields[key]) return aircraftFields[key];
+                    unresolved.add(slot);
+                    return null;
+                }
+
+                const alternatives = getSlotAlternatives(slot);
+                const parameter = alternatives.length === 1 && findSlotParameter(slot, parameters);
+                if (parameter) {
+                    if (!values[parameter.name]) values[parameter.name] = pick(parameter.values);
+                    return values[parameter.name];
+                }
+
+                // Example values and lists: the pool's value in this slot's wording, using the
+                // list option written for it when there is one
+                const pool = findSlotPool(alternatives, pools);
+                if (pool) {
+                    const valuePool = pool.root || pool;
+                    if (!values[valuePool.name]) values[valuePool.name] = pick(valuePool.values);
+                    const valueWords = getPoolValueWords(values[valuePool.name], valuePool);
+                    const valueKey = valueWords.map(normalizeScenarioKey).join(' ');
+                    return alternatives.find(option => readPoolValue(option, pool) === valueKey)
+                        || writePoolValue(alternatives[0], pool, valueWords);
+                }
+
+                if (alternatives.length > 1) {
+                    if (!listPicks[key]) listPicks[key] = pick(alternatives);
+                    return listPicks[key];
+                }
+
+                // An example value with no parameter behind it ('Squawk 4771') stays as written,
+                // a parameter name with no usable values ('Arrival Taxiway') is reported.
+                if (Object.keys(parameters).some(name => normalizeScenarioKey(name) === key)) {
+                    unresolved.add(slot);
+                    return null;
+                }
+                return slot;
+            };
+
+            return {
+                phase: item.phase,
+                category: item.category,
+                type: item.type,
+                calls: item.calls.map(call => {
+                    const template = call.message || '';
+                    const segments = [];
+                    let lastIndex = 0;
+                    template.replace(/{([^{}]*)}/g, (match, slot, offset) => {
+                        if (offset > lastIndex) segments.push({ text: template.slice(lastIndex, offset) });
+                        const value = resolveSlot(slot.trim());
+                        segments.push(value === null ? { text: match, unresolved: true } : { text: value, slot: slot.trim() });
+                        lastIndex = offset + match.length;
+                        return match;
+                    });
+                    if (lastIndex < template.length) segments.push({ text: template.slice(lastIndex) });
+
+                    return {
+                        speaker: call.speaker,
+                        template,
+                        message: segments.map(segment => segment.text).join(''),
+                        segments
+                    };
+                })
+            };
+        });
+
+    return {
+        seed,
+        airport: airport.code,
+        callsign,
+        type: type || 'all',
+        aircraft: {
+            origin: aircraft.origin || null,
+            destination: aircraft.destination || null,
+            SID: aircraft.SID || null
+        },
+        values,
+        conversations,
+        unresolved: [...unresolved]
+    };
+};
+
+/**
+ * Prepares a scenario for export: the rendering segments are dropped, the rest is kept.
+ * @param {Object} scenario - A result of generateScenario.
+ * @returns {string} Pretty-printed JSON.
+ */
+const serializeScenario = (scenario) => {
+    return JSON.stringify({
+        ...scenario,
+        conversations: scenario.conversations.map(conversation => ({
+            ...conversation,
+            calls: conversation.calls.map(({ speaker, template, message }) => ({ speaker, template, message }))
+        }))
+    }, null, 2);
+};
+
+// Node: used by tools/check-rt-scenarios.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getSlotAlternatives,
+        normalizeScenarioKey,
+        generateScenario
+    };
+}
@@ -0,0 +1,71 @@
+// Generates exercises for every airport and callsign over a range of seeds and checks that each
+// conversation repeats the value it picked: when two list slots of a conversation offer the same
+// values ('taxi via {C-N-N2,F-N-N2}' and '{taxi via C-N-N2 / taxi via F-N-N2}'), the call and the
+// readback must use the same one. Prints every mismatch and exits with 1 when any is found.
+//
+// node tools/check-rt-scenarios.js [seed count, default 50]
+
+const fs = require('fs');
+const path = require('path');
+const { getSlotAlternatives, normalizeScenarioKey, generateScenario } = require('../js/rt-scenario-generator.js');
+
+const rootPath = path.join(__dirname, '..');
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(rootPath, file), 'utf8'));
+const seedCount = Number(process.argv[2]) || 50;
+
+const manifest = readJson('data/airports.json');
+const aircraftData = readJson('data/all-aircraft-data.json');
+
+// A list slot's wording (the words every option shares) and its values (the other words)
+const describeListSlot = (slot, text) => {
+    const optionWords = getSlotAlternatives(slot).map(option => option.split(/\s+/).map(normalizeScenarioKey).filter(Boolean));
+    const fixedWords = optionWords[0].filter(word => optionWords.every(words => words.includes(word)));
+    const valueOf = (words) => words.filter(word => !fixedWords.includes(word)).join(' ');
+    return {
+        fixedWords,
+        values: optionWords.map(valueOf),
+        value: valueOf(text.split(/\s+/).map(normalizeScenarioKey).filter(Boolean))
+    };
+};
+
+// Two lists offer the same values when one wording holds the other's and their values overlap
+const offerSameValues = (first, second) => {
+    const nested = first.fixedWords.every(word => second.fixedWords.includes(word))
+        || second.fixedWords.every(word => first.fixedWords.includes(word));
+    return nested && first.values.some(value => second.values.includes(value));
+};
+
+let scenarioCount = 0;
+let mismatchCount = 0;
+manifest.airports.forEach(airport => {
+    const calls = Object.entries(airport.rtCallFiles).flatMap(([type, file]) => readJson(file).map(item => ({ ...item, type })));
+    const parameters = readJson(airport.parameterFile);
+    const callsigns = Object.values(airport.callsignGroups || {}).flat();
+
+    callsigns.forEach(callsign => {
+        for (let index = 0; index < seedCount; index++) {
+            const seed = `s${index}`;
+            const scenario = generateScenario({ airport, callsign, calls, parameters, aircraftData, seed });
+            scenarioCount++;
+
+            scenario.conversations.forEach(conversation => {
+                const lists = conversation.calls
+                    .flatMap(call => call.segments.map(segment => ({ ...segment, speaker: call.speaker })))
+                    .filter(segment => segment.slot && getSlotAlternatives(segment.slot).length > 1)
+                    .map(segment => ({ ...segment, ...describeListSlot(segment.slot, segment.text) }));
+
+                lists.forEach((first, index) => lists.slice(index + 1).forEach(second => {
+                    if (!offerSameValues(first, second) || first.value === second.value) return;
+                    mismatchCount++;
+                    console.log(`${airport.code} ${callsign} ${seed} ${conversation.type} ${conversation.phase}: `
+                        + `${first.speaker} "${first.text}" but ${second.speaker} "${second.text}"`);
+                }));
+            });
+        }
+    });
+});
+
+console.log(mismatchCount === 0
+    ? `${scenarioCount} exercises, every conversation repeats its values.`
+    : `${mismatchCount} mismatch(es) in ${scenarioCount} exercises.`);
+process.exitCode = mismatchCount === 0 ? 0 : 1;
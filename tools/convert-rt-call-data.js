@@ -0,0 +1,62 @@
+// Converts the RT call data between the legacy file and the per-airport files.
+// Output mirrors the data folder (rt-call/all-rt-call-data.json or rt-call-<code>/<code>-<type>-call-data.json)
+// under --out, and everything that could not be carried over is printed.
+//
+// node tools/convert-rt-call-data.js to-airport [legacy file] [--out converted]
+// node tools/convert-rt-call-data.js to-legacy [per-airport files...] [--out converted]
+//
+// Without input files the site's own data is used (data/rt-call and the airports in data/airports.json).
+
+const fs = require('fs');
+const path = require('path');
+const {
+    parseAirportCallFileName,
+    convertLegacyToAirport,
+    convertAirportToLegacy,
+    formatAirportCallFile,
+    formatLegacyCallFile
+} = require('../js/rt-call-converter.js');
+
+const rootPath = path.join(__dirname, '..');
+const [direction, ...args] = process.argv.slice(2);
+const outIndex = args.indexOf('--out');
+const outPath = path.resolve(outIndex === -1 ? 'converted' : args[outIndex + 1]);
+const inputs = outIndex === -1 ? args : args.filter((arg, index) => index !== outIndex && index !== outIndex + 1);
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+const rootFile = (file) => path.join(rootPath, file);
+const writeOutput = (file, text) => {
+    const target = path.join(outPath, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, text);
+    console.log(`wrote ${path.relative(process.cwd(), target)}`);
+};
+
+let result;
+if (direction === 'to-airport') {
+    result = convertLegacyToAirport(readJson(inputs[0] || rootFile('data/rt-call/all-rt-call-data.json')));
+    Object.entries(result.airports).forEach(([code, files]) => {
+        Object.entries(files).forEach(([type, conversations]) => {
+            writeOutput(`rt-call-${code}/${code}-${type}-call-data.json`, formatAirportCallFile(conversations));
+        });
+    });
+} else if (direction === 'to-legacy') {
+    const files = inputs.length > 0
+        ? inputs
+        : readJson(rootFile('data/airports.json')).airports.flatMap(airport => Object.values(airport.rtCallFiles || {}).map(rootFile));
+    const airports = {};
+    files.forEach(file => {
+        const name = parseAirportCallFileName(file);
+        if (!name) throw new Error(`${file} is not named <code>-<type>-call-data.json`);
+        airports[name.code] = airports[name.code] || {};
+        airports[name.code][name.type] = readJson(file);
+    });
+    result = convertAirportToLegacy(airports);
+    writeOutput('rt-call/all-rt-call-data.json', formatLegacyCallFile(result.data));
+} else {
+    console.log('Usage: node tools/convert-rt-call-data.js to-airport|to-legacy [input files...] [--out <folder>]');
+    process.exit(1);
+}
+
+result.report.forEach(entry => console.log(`${entry.level}: ${entry.where}: ${entry.message}`));
+console.log(result.report.length === 0 ? 'Converted without losses.' : `${result.report.length} note(s).`);
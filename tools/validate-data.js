@@ -0,0 +1,38 @@
+// Validates the RT call, parameter and aircraft category data against data/schema.
+// Prints one line per problem (file:line:column path message) and exits with 1 when any is found.
+//
+// node tools/validate-data.js
+
+const fs = require('fs');
+const path = require('path');
+const {
+    rtDataSchemaFiles,
+    listDataFiles,
+    validateDataText,
+    formatValidationError
+} = require('../js/rt-data-validator.js');
+
+const rootPath = path.join(__dirname, '..');
+const readRootFile = (file) => fs.readFileSync(path.join(rootPath, file), 'utf8');
+
+const manifest = JSON.parse(readRootFile('data/airports.json'));
+const schemas = {};
+let problemCount = 0;
+
+listDataFiles(manifest).forEach(({ path: file, kind }) => {
+    schemas[kind] = schemas[kind] || JSON.parse(readRootFile(rtDataSchemaFiles[kind]));
+
+    let errors;
+    try {
+        errors = validateDataText(readRootFile(file), schemas[kind]);
+    } catch (error) {
+        errors = [{ path: '', line: null, column: null, message: `could not be read: ${error.message}` }];
+    }
+
+    errors.forEach(error => console.log(formatValidationError(file, error)));
+    problemCount += errors.length;
+    if (errors.length === 0) console.log(`${file} OK`);
+});
+
+console.log(problemCount === 0 ? 'All data files are valid.' : `${problemCount} problem(s) found.`);
+process.exitCode = problemCount === 0 ? 0 : 1;